@@ -0,0 +1,33 @@
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+export const USER_ROLES = ['admin', 'operator'];
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Stored as "scrypt$<salt hex>$<key hex>" so the format can change without a migration.
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const key = await scryptAsync(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+
+  const expected = Buffer.from(keyHex, 'hex');
+  const actual = await scryptAsync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+export function generateSessionToken() {
+  return randomBytes(32).toString('hex');
+}
+
+// Only the hash is stored, so a leaked database does not hand out live sessions.
+export function hashSessionToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
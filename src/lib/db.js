@@ -1,4 +1,12 @@
 import Database from 'better-sqlite3';
+import {
+  decryptSecret,
+  encryptSecret,
+  isEncrypted,
+  isSecretConfigKey,
+  SECRET_CONFIG_KEYS,
+  SECRET_MASK
+} from './secrets.js';
 
 const db = new Database('sync.db');
 
@@ -30,6 +38,17 @@ CREATE TABLE IF NOT EXISTS sku_cache (
   updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE IF NOT EXISTS tiny_products (
+  id TEXT PRIMARY KEY,
+  sku TEXT,
+  codigo TEXT,
+  nome TEXT,
+  updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tiny_products_sku ON tiny_products (sku COLLATE NOCASE);
+CREATE INDEX IF NOT EXISTS idx_tiny_products_codigo ON tiny_products (codigo COLLATE NOCASE);
+
 CREATE TABLE IF NOT EXISTS sync_logs (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   type TEXT NOT NULL,
@@ -38,10 +57,250 @@ CREATE TABLE IF NOT EXISTS sync_logs (
   context_json TEXT,
   created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
+
+CREATE TABLE IF NOT EXISTS sync_previews (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  trigger TEXT,
+  status TEXT NOT NULL,
+  summary_json TEXT,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS sync_preview_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  preview_id INTEGER NOT NULL,
+  sku TEXT NOT NULL,
+  tiny_deposito_nome TEXT,
+  shopify_location_id TEXT NOT NULL,
+  shopify_location_name TEXT,
+  inventory_item_id TEXT NOT NULL,
+  shopify_quantity INTEGER,
+  tiny_quantity INTEGER NOT NULL,
+  delta INTEGER NOT NULL,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_preview_items_unique
+  ON sync_preview_items (preview_id, sku, shopify_location_id);
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL,
+  payload_json TEXT,
+  status TEXT NOT NULL DEFAULT 'queued',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  last_error TEXT,
+  result_json TEXT,
+  run_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs (status, run_at);
+
+CREATE TABLE IF NOT EXISTS sync_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL,
+  trigger TEXT,
+  status TEXT NOT NULL,
+  options_json TEXT,
+  current_page INTEGER NOT NULL DEFAULT 0,
+  total_pages INTEGER,
+  counters_json TEXT,
+  checkpoint_json TEXT,
+  error TEXT,
+  started_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at TEXT,
+  updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_type_status ON sync_runs (type, status);
+
+CREATE TABLE IF NOT EXISTS sync_run_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id INTEGER NOT NULL,
+  sku TEXT,
+  tiny_deposito_nome TEXT,
+  shopify_location_id TEXT,
+  quantity INTEGER,
+  status TEXT NOT NULL,
+  message TEXT,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_run_items_run ON sync_run_items (run_id, status);
+
+CREATE TABLE IF NOT EXISTS inventory_snapshots (
+  sku TEXT NOT NULL,
+  shopify_location_id TEXT NOT NULL,
+  quantity INTEGER NOT NULL,
+  updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (sku, shopify_location_id)
+);
+
+CREATE TABLE IF NOT EXISTS mapping_sources (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mapping_id INTEGER NOT NULL,
+  tiny_deposito_id TEXT NOT NULL,
+  tiny_deposito_nome TEXT,
+  UNIQUE (mapping_id, tiny_deposito_id)
+);
+
+CREATE TABLE IF NOT EXISTS mapping_targets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mapping_id INTEGER NOT NULL,
+  shopify_location_id TEXT NOT NULL,
+  shopify_location_name TEXT,
+  percentage INTEGER,
+  max_quantity INTEGER,
+  position INTEGER NOT NULL DEFAULT 0,
+  UNIQUE (mapping_id, shopify_location_id)
+);
+
+CREATE TABLE IF NOT EXISTS lookup_cache (
+  key TEXT PRIMARY KEY,
+  payload_json TEXT NOT NULL,
+  fetched_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS sku_stock_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  sku TEXT NOT NULL,
+  mapping_id INTEGER NOT NULL DEFAULT 0,
+  stock_buffer INTEGER,
+  stock_max INTEGER,
+  updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (sku, mapping_id)
+);
+
+CREATE TABLE IF NOT EXISTS reconciliations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  trigger TEXT,
+  status TEXT NOT NULL,
+  summary_json TEXT,
+  error TEXT,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS reconciliation_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  reconciliation_id INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  mapping_id INTEGER,
+  tiny_product_id TEXT,
+  tiny_deposito_nome TEXT,
+  shopify_location_id TEXT NOT NULL,
+  shopify_location_name TEXT,
+  inventory_item_id TEXT,
+  shopify_quantity INTEGER,
+  tiny_quantity INTEGER,
+  delta INTEGER,
+  fixed_at TEXT,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_report
+  ON reconciliation_items (reconciliation_id, status);
+
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'operator',
+  last_login_at TEXT,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  token_hash TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id);
+
+CREATE TABLE IF NOT EXISTS webhook_receipts (
+  dedup_key TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  received_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_receipts_received ON webhook_receipts (received_at);
+
+CREATE TABLE IF NOT EXISTS webhook_inbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL,
+  status TEXT NOT NULL,
+  reason TEXT,
+  ip TEXT,
+  url TEXT,
+  content_type TEXT,
+  headers_json TEXT,
+  body TEXT,
+  job_id INTEGER,
+  replays INTEGER NOT NULL DEFAULT 0,
+  replayed_at TEXT,
+  received_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_inbox_received ON webhook_inbox (received_at);
+
+CREATE TABLE IF NOT EXISTS shopify_order_movements (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id TEXT NOT NULL,
+  order_name TEXT,
+  line_item_id TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  sku TEXT,
+  quantity INTEGER NOT NULL DEFAULT 0,
+  shopify_location_id TEXT,
+  tiny_product_id TEXT,
+  tiny_deposito_id TEXT,
+  tiny_deposito_nome TEXT,
+  status TEXT NOT NULL,
+  reason TEXT,
+  tiny_movement_id TEXT,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (order_id, line_item_id, kind)
+);
 `;
 
 db.exec(initSql);
 
+// CREATE TABLE IF NOT EXISTS does not touch existing tables, so new columns are added here.
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((entry) => entry.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+ensureColumn('sync_runs', 'duration_ms', 'INTEGER');
+ensureColumn('sync_runs', 'updated', 'INTEGER NOT NULL DEFAULT 0');
+ensureColumn('sync_runs', 'skipped', 'INTEGER NOT NULL DEFAULT 0');
+ensureColumn('sync_runs', 'not_found', 'INTEGER NOT NULL DEFAULT 0');
+ensureColumn('sync_runs', 'errors', 'INTEGER NOT NULL DEFAULT 0');
+ensureColumn('sync_runs', 'unchanged', 'INTEGER NOT NULL DEFAULT 0');
+ensureColumn('sync_runs', 'conflicts', 'INTEGER NOT NULL DEFAULT 0');
+ensureColumn('sync_runs', 'ambiguous', 'INTEGER NOT NULL DEFAULT 0');
+ensureColumn('mappings', 'stock_buffer', 'INTEGER NOT NULL DEFAULT 0');
+ensureColumn('mappings', 'stock_max', 'INTEGER');
+ensureColumn('mappings', 'aggregation', "TEXT NOT NULL DEFAULT 'sum'");
+ensureColumn('mappings', 'allocation', "TEXT NOT NULL DEFAULT 'copy'");
+ensureColumn('mappings', 'target_percentage', 'INTEGER');
+ensureColumn('mappings', 'target_max', 'INTEGER');
+ensureColumn('webhook_inbox', 'body_size', 'INTEGER');
+
+// Rules left behind by mappings deleted before deleteMapping removed them too.
+db.prepare('DELETE FROM sku_stock_rules WHERE mapping_id != 0 AND mapping_id NOT IN (SELECT id FROM mappings)').run();
+
 const getConfigStmt = db.prepare('SELECT value FROM config WHERE key = ?');
 const setConfigStmt = db.prepare(`
   INSERT INTO config (key, value, updated_at)
@@ -53,21 +312,46 @@ const setConfigStmt = db.prepare(`
 
 export function getConfigValue(key, fallback = null) {
   const row = getConfigStmt.get(key);
-  return row ? row.value : fallback;
+  if (!row) return fallback;
+  return isSecretConfigKey(key) ? decryptSecret(key, row.value) : row.value;
 }
 
 export function setConfigValue(key, value) {
-  setConfigStmt.run(key, String(value));
+  const text = String(value);
+  setConfigStmt.run(key, isSecretConfigKey(key) ? encryptSecret(key, text) : text);
+}
+
+export function deleteConfigValue(key) {
+  db.prepare('DELETE FROM config WHERE key = ?').run(key);
 }
 
+// Secrets come back masked (empty when unset); read them one by one with getConfigValue.
 export function getConfigObject() {
   const rows = db.prepare('SELECT key, value FROM config').all();
   return rows.reduce((acc, row) => {
-    acc[row.key] = row.value;
+    acc[row.key] = isSecretConfigKey(row.key) && row.value ? SECRET_MASK : row.value;
     return acc;
   }, {});
 }
 
+// Encrypts secrets saved before CONFIG_ENCRYPTION_KEY was set. Returns how many were rewritten.
+export function encryptStoredSecrets() {
+  const placeholders = SECRET_CONFIG_KEYS.map(() => '?').join(', ');
+  const rows = db
+    .prepare(`SELECT key, value FROM config WHERE key IN (${placeholders})`)
+    .all(...SECRET_CONFIG_KEYS);
+
+  let encrypted = 0;
+  for (const row of rows) {
+    if (!row.value || isEncrypted(row.value)) continue;
+    const value = encryptSecret(row.key, row.value);
+    if (value === row.value) continue;
+    setConfigStmt.run(row.key, value);
+    encrypted += 1;
+  }
+  return encrypted;
+}
+
 export function upsertMapping(mapping) {
   const stmt = db.prepare(`
     INSERT INTO mappings (
@@ -76,13 +360,25 @@ export function upsertMapping(mapping) {
       shopify_location_id,
       shopify_location_name,
       active,
+      stock_buffer,
+      stock_max,
+      aggregation,
+      allocation,
+      target_percentage,
+      target_max,
       updated_at
-    ) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     ON CONFLICT(tiny_deposito_id) DO UPDATE SET
       tiny_deposito_nome = excluded.tiny_deposito_nome,
       shopify_location_id = excluded.shopify_location_id,
       shopify_location_name = excluded.shopify_location_name,
       active = excluded.active,
+      stock_buffer = excluded.stock_buffer,
+      stock_max = excluded.stock_max,
+      aggregation = excluded.aggregation,
+      allocation = excluded.allocation,
+      target_percentage = excluded.target_percentage,
+      target_max = excluded.target_max,
       updated_at = CURRENT_TIMESTAMP
   `);
 
@@ -91,30 +387,216 @@ export function upsertMapping(mapping) {
     mapping.tiny_deposito_nome ?? '',
     String(mapping.shopify_location_id),
     mapping.shopify_location_name ?? '',
-    mapping.active ? 1 : 0
+    mapping.active ? 1 : 0,
+    mapping.stock_buffer ?? 0,
+    mapping.stock_max ?? null,
+    mapping.aggregation || 'sum',
+    mapping.allocation || 'copy',
+    mapping.target_percentage ?? null,
+    mapping.target_max ?? null
   );
+
+  const { id } = db
+    .prepare('SELECT id FROM mappings WHERE tiny_deposito_id = ?')
+    .get(String(mapping.tiny_deposito_id));
+
+  if (mapping.extra_deposits !== undefined) {
+    replaceMappingSources(id, mapping.extra_deposits);
+  }
+  if (mapping.extra_targets !== undefined) {
+    replaceMappingTargets(id, mapping.extra_targets);
+  }
+  return id;
+}
+
+// Extra Tiny deposits summed into the mapping's location, besides its own deposit.
+const replaceMappingSources = db.transaction((mappingId, deposits) => {
+  db.prepare('DELETE FROM mapping_sources WHERE mapping_id = ?').run(mappingId);
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO mapping_sources (mapping_id, tiny_deposito_id, tiny_deposito_nome)
+    VALUES (?, ?, ?)
+  `);
+  for (const deposit of deposits) {
+    insert.run(mappingId, String(deposit.tiny_deposito_id), deposit.tiny_deposito_nome ?? '');
+  }
+});
+
+// Extra Shopify locations fed by the mapping, in priority order, besides its own location.
+const replaceMappingTargets = db.transaction((mappingId, targets) => {
+  db.prepare('DELETE FROM mapping_targets WHERE mapping_id = ?').run(mappingId);
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO mapping_targets (
+      mapping_id,
+      shopify_location_id,
+      shopify_location_name,
+      percentage,
+      max_quantity,
+      position
+    ) VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  targets.forEach((target, index) => {
+    insert.run(
+      mappingId,
+      String(target.shopify_location_id),
+      target.shopify_location_name ?? '',
+      target.percentage ?? null,
+      target.max_quantity ?? null,
+      index
+    );
+  });
+});
+
+function withRelations(mapping) {
+  if (!mapping) return mapping;
+  const extraDeposits = db
+    .prepare(`
+      SELECT tiny_deposito_id, tiny_deposito_nome
+      FROM mapping_sources
+      WHERE mapping_id = ?
+      ORDER BY id
+    `)
+    .all(mapping.id);
+  const extraTargets = db
+    .prepare(`
+      SELECT shopify_location_id, shopify_location_name, percentage, max_quantity
+      FROM mapping_targets
+      WHERE mapping_id = ?
+      ORDER BY position, id
+    `)
+    .all(mapping.id);
+  return { ...mapping, extra_deposits: extraDeposits, extra_targets: extraTargets };
 }
 
 export function listMappings() {
-  return db.prepare('SELECT * FROM mappings ORDER BY tiny_deposito_nome, tiny_deposito_id').all();
+  return db
+    .prepare('SELECT * FROM mappings ORDER BY tiny_deposito_nome, tiny_deposito_id')
+    .all()
+    .map(withRelations);
 }
 
-export function deleteMapping(tinyDepositoId) {
-  db.prepare('DELETE FROM mappings WHERE tiny_deposito_id = ?').run(String(tinyDepositoId));
+export function getMapping(id) {
+  return withRelations(db.prepare('SELECT * FROM mappings WHERE id = ?').get(Number(id)));
+}
+
+export function updateMapping(id, mapping) {
+  db.prepare(`
+    UPDATE mappings
+    SET tiny_deposito_id = ?,
+      tiny_deposito_nome = ?,
+      shopify_location_id = ?,
+      shopify_location_name = ?,
+      active = ?,
+      stock_buffer = ?,
+      stock_max = ?,
+      aggregation = ?,
+      allocation = ?,
+      target_percentage = ?,
+      target_max = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(
+    String(mapping.tiny_deposito_id),
+    mapping.tiny_deposito_nome ?? '',
+    String(mapping.shopify_location_id),
+    mapping.shopify_location_name ?? '',
+    mapping.active ? 1 : 0,
+    mapping.stock_buffer ?? 0,
+    mapping.stock_max ?? null,
+    mapping.aggregation || 'sum',
+    mapping.allocation || 'copy',
+    mapping.target_percentage ?? null,
+    mapping.target_max ?? null,
+    Number(id)
+  );
+
+  if (mapping.extra_deposits !== undefined) {
+    replaceMappingSources(Number(id), mapping.extra_deposits);
+  }
+  if (mapping.extra_targets !== undefined) {
+    replaceMappingTargets(Number(id), mapping.extra_targets);
+  }
 }
 
+// The mapping's SKU rules go with it: a mapping created later could get the same id.
+export const deleteMapping = db.transaction((tinyDepositoId) => {
+  const mapping = db.prepare('SELECT id FROM mappings WHERE tiny_deposito_id = ?').get(String(tinyDepositoId));
+  if (!mapping) return;
+  db.prepare('DELETE FROM mapping_sources WHERE mapping_id = ?').run(mapping.id);
+  db.prepare('DELETE FROM mapping_targets WHERE mapping_id = ?').run(mapping.id);
+  db.prepare('DELETE FROM sku_stock_rules WHERE mapping_id = ?').run(mapping.id);
+  db.prepare('DELETE FROM mappings WHERE id = ?').run(mapping.id);
+});
+
 export function listActiveMappings() {
-  return db.prepare('SELECT * FROM mappings WHERE active = 1').all();
+  return db.prepare('SELECT * FROM mappings WHERE active = 1').all().map(withRelations);
 }
 
 export function getMappingByDeposito(tinyDepositoId) {
-  return db.prepare('SELECT * FROM mappings WHERE tiny_deposito_id = ?').get(String(tinyDepositoId));
+  return withRelations(
+    db.prepare('SELECT * FROM mappings WHERE tiny_deposito_id = ?').get(String(tinyDepositoId))
+  );
 }
 
 export function getMappingByDepositoNome(tinyDepositoNome) {
+  return withRelations(
+    db
+      .prepare('SELECT * FROM mappings WHERE lower(trim(tiny_deposito_nome)) = lower(trim(?))')
+      .get(String(tinyDepositoNome || ''))
+  );
+}
+
+export function getLookupCache(key) {
+  const row = db.prepare('SELECT payload_json, fetched_at FROM lookup_cache WHERE key = ?').get(key);
+  if (!row) return null;
+  return { items: JSON.parse(row.payload_json), fetchedAt: row.fetched_at };
+}
+
+export function saveLookupCache(key, items) {
+  db.prepare(`
+    INSERT INTO lookup_cache (key, payload_json, fetched_at)
+    VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(key) DO UPDATE SET
+      payload_json = excluded.payload_json,
+      fetched_at = CURRENT_TIMESTAMP
+  `).run(key, JSON.stringify(items));
+}
+
+export function upsertSkuStockRule(rule) {
+  db.prepare(`
+    INSERT INTO sku_stock_rules (sku, mapping_id, stock_buffer, stock_max, updated_at)
+    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(sku, mapping_id) DO UPDATE SET
+      stock_buffer = excluded.stock_buffer,
+      stock_max = excluded.stock_max,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(String(rule.sku), Number(rule.mapping_id) || 0, rule.stock_buffer ?? null, rule.stock_max ?? null);
+}
+
+export function listSkuStockRules() {
   return db
-    .prepare('SELECT * FROM mappings WHERE lower(trim(tiny_deposito_nome)) = lower(trim(?))')
-    .get(String(tinyDepositoNome || ''));
+    .prepare(`
+      SELECT r.*, m.tiny_deposito_nome, m.shopify_location_name
+      FROM sku_stock_rules r
+      LEFT JOIN mappings m ON m.id = r.mapping_id
+      ORDER BY r.sku, r.mapping_id
+    `)
+    .all();
+}
+
+export function deleteSkuStockRule(id) {
+  db.prepare('DELETE FROM sku_stock_rules WHERE id = ?').run(Number(id));
+}
+
+// A rule for the specific mapping wins over the SKU's global rule (mapping_id 0).
+export function getSkuStockRule(sku, mappingId) {
+  return db
+    .prepare(`
+      SELECT * FROM sku_stock_rules
+      WHERE sku = ? AND mapping_id IN (?, 0)
+      ORDER BY mapping_id DESC
+      LIMIT 1
+    `)
+    .get(String(sku), Number(mappingId) || 0);
 }
 
 export function saveSkuCache(entry) {
@@ -145,6 +627,98 @@ export function getSkuCache(sku) {
   return db.prepare('SELECT * FROM sku_cache WHERE sku = ?').get(sku);
 }
 
+export function listSkuCache({ search = '', limit = 200 } = {}) {
+  return db
+    .prepare(`
+      SELECT * FROM sku_cache
+      WHERE (? = '' OR sku LIKE ? OR product_title LIKE ?)
+      ORDER BY sku
+      LIMIT ?
+    `)
+    .all(search, `%${search}%`, `%${search}%`, limit);
+}
+
+export function countSkuCache() {
+  return db.prepare('SELECT COUNT(*) AS total FROM sku_cache').get().total;
+}
+
+export function deleteSkuCache(sku) {
+  return db.prepare('DELETE FROM sku_cache WHERE sku = ?').run(sku).changes;
+}
+
+// Matches the way duplicate SKUs are grouped: trimmed and case-insensitive.
+export function deleteSkuCacheByNormalizedSku(sku) {
+  return db.prepare('DELETE FROM sku_cache WHERE lower(trim(sku)) = ?').run(sku).changes;
+}
+
+export function clearSkuCache() {
+  return db.prepare('DELETE FROM sku_cache').run().changes;
+}
+
+export function deleteSkuCacheOlderThan(timestamp) {
+  return db.prepare('DELETE FROM sku_cache WHERE updated_at < ?').run(timestamp).changes;
+}
+
+// Fields left undefined keep their indexed value: stock updates only carry id and sku.
+const upsertTinyProducts = db.transaction((products) => {
+  const stmt = db.prepare(`
+    INSERT INTO tiny_products (id, sku, codigo, nome, updated_at)
+    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(id) DO UPDATE SET
+      sku = COALESCE(excluded.sku, tiny_products.sku),
+      codigo = COALESCE(excluded.codigo, tiny_products.codigo),
+      nome = COALESCE(excluded.nome, tiny_products.nome),
+      updated_at = CURRENT_TIMESTAMP
+  `);
+  for (const product of products) {
+    if (!product.id) continue;
+    stmt.run(String(product.id), product.sku ?? null, product.codigo ?? null, product.nome ?? null);
+  }
+});
+
+export function saveTinyProducts(products) {
+  upsertTinyProducts(products);
+}
+
+export function findTinyProductsBySku(sku) {
+  return db
+    .prepare(`
+      SELECT * FROM tiny_products
+      WHERE sku = ? COLLATE NOCASE OR codigo = ? COLLATE NOCASE
+      ORDER BY id
+    `)
+    .all(sku, sku);
+}
+
+export function countTinyProducts() {
+  return db.prepare('SELECT COUNT(*) AS total FROM tiny_products').get().total;
+}
+
+export function deleteTinyProducts(ids) {
+  const stmt = db.prepare('DELETE FROM tiny_products WHERE id = ?');
+  return ids.reduce((total, id) => total + stmt.run(String(id)).changes, 0);
+}
+
+export function deleteTinyProductsOlderThan(timestamp) {
+  return db.prepare('DELETE FROM tiny_products WHERE updated_at < ?').run(timestamp).changes;
+}
+
+export function getInventorySnapshot(sku, shopifyLocationId) {
+  return db
+    .prepare('SELECT * FROM inventory_snapshots WHERE sku = ? AND shopify_location_id = ?')
+    .get(sku, String(shopifyLocationId));
+}
+
+export function saveInventorySnapshot({ sku, shopify_location_id: shopifyLocationId, quantity }) {
+  db.prepare(`
+    INSERT INTO inventory_snapshots (sku, shopify_location_id, quantity, updated_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(sku, shopify_location_id) DO UPDATE SET
+      quantity = excluded.quantity,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(sku, String(shopifyLocationId), Number(quantity));
+}
+
 export function addLog({ type, status, message, context }) {
   const stmt = db.prepare(`
     INSERT INTO sync_logs (type, status, message, context_json)
@@ -167,4 +741,668 @@ export function listLogs(limit = 200) {
   }));
 }
 
+export function createSyncPreview({ trigger }) {
+  const info = db
+    .prepare("INSERT INTO sync_previews (trigger, status) VALUES (?, 'running')")
+    .run(trigger ?? '');
+  return Number(info.lastInsertRowid);
+}
+
+export function addSyncPreviewItem(previewId, item) {
+  const stmt = db.prepare(`
+    INSERT INTO sync_preview_items (
+      preview_id,
+      sku,
+      tiny_deposito_nome,
+      shopify_location_id,
+      shopify_location_name,
+      inventory_item_id,
+      shopify_quantity,
+      tiny_quantity,
+      delta
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(preview_id, sku, shopify_location_id) DO UPDATE SET
+      tiny_deposito_nome = excluded.tiny_deposito_nome,
+      shopify_location_name = excluded.shopify_location_name,
+      inventory_item_id = excluded.inventory_item_id,
+      shopify_quantity = excluded.shopify_quantity,
+      tiny_quantity = excluded.tiny_quantity,
+      delta = excluded.delta
+  `);
+
+  stmt.run(
+    previewId,
+    item.sku,
+    item.tiny_deposito_nome ?? '',
+    String(item.shopify_location_id),
+    item.shopify_location_name ?? '',
+    String(item.inventory_item_id),
+    item.shopify_quantity ?? null,
+    item.tiny_quantity,
+    item.delta
+  );
+}
+
+export function finishSyncPreview(previewId, { status, summary }) {
+  db.prepare(`
+    UPDATE sync_previews
+    SET status = ?, summary_json = ?, finished_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, summary ? JSON.stringify(summary) : null, previewId);
+
+  if (status !== 'completed') return;
+
+  // Only the latest completed preview is kept for review.
+  db.prepare('DELETE FROM sync_preview_items WHERE preview_id < ?').run(previewId);
+  db.prepare('DELETE FROM sync_previews WHERE id < ?').run(previewId);
+}
+
+export function markSyncPreviewApplied(previewId) {
+  db.prepare("UPDATE sync_previews SET status = 'applied' WHERE id = ?").run(previewId);
+}
+
+export function getLatestSyncPreview({ onlyChanged = false } = {}) {
+  const preview = db
+    .prepare("SELECT * FROM sync_previews WHERE status IN ('completed', 'applied') ORDER BY id DESC LIMIT 1")
+    .get();
+  if (!preview) return null;
+
+  const items = db
+    .prepare(`
+      SELECT * FROM sync_preview_items
+      WHERE preview_id = ? ${onlyChanged ? 'AND delta != 0' : ''}
+      ORDER BY sku, shopify_location_id
+    `)
+    .all(preview.id);
+
+  const { summary_json: summaryJson, ...rest } = preview;
+  return {
+    ...rest,
+    summary: summaryJson ? JSON.parse(summaryJson) : null,
+    items
+  };
+}
+
+export function createReconciliation({ trigger }) {
+  // Only one reconciliation runs per process, so a leftover running row died with a restart.
+  db.prepare("UPDATE reconciliations SET status = 'interrupted' WHERE status = 'running'").run();
+  const info = db
+    .prepare("INSERT INTO reconciliations (trigger, status) VALUES (?, 'running')")
+    .run(trigger ?? '');
+  return Number(info.lastInsertRowid);
+}
+
+export function addReconciliationItem(reconciliationId, item) {
+  db.prepare(`
+    INSERT INTO reconciliation_items (
+      reconciliation_id,
+      status,
+      sku,
+      mapping_id,
+      tiny_product_id,
+      tiny_deposito_nome,
+      shopify_location_id,
+      shopify_location_name,
+      inventory_item_id,
+      shopify_quantity,
+      tiny_quantity,
+      delta
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    reconciliationId,
+    item.status,
+    item.sku,
+    item.mapping_id ?? null,
+    item.tiny_product_id ?? null,
+    item.tiny_deposito_nome ?? '',
+    String(item.shopify_location_id),
+    item.shopify_location_name ?? '',
+    item.inventory_item_id ?? null,
+    item.shopify_quantity ?? null,
+    item.tiny_quantity ?? null,
+    item.delta ?? null
+  );
+}
+
+export function finishReconciliation(reconciliationId, { status, summary, error = null }) {
+  db.prepare(`
+    UPDATE reconciliations
+    SET status = ?, summary_json = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, summary ? JSON.stringify(summary) : null, error, reconciliationId);
+
+  if (status !== 'completed') return;
+
+  // Only the latest completed report is kept.
+  db.prepare('DELETE FROM reconciliation_items WHERE reconciliation_id < ?').run(reconciliationId);
+  db.prepare('DELETE FROM reconciliations WHERE id < ?').run(reconciliationId);
+}
+
+export function getLatestReconciliation() {
+  const row = db.prepare('SELECT * FROM reconciliations ORDER BY id DESC LIMIT 1').get();
+  if (!row) return null;
+
+  const { summary_json: summaryJson, ...rest } = row;
+  return { ...rest, summary: summaryJson ? JSON.parse(summaryJson) : null };
+}
+
+export function listReconciliationItems(reconciliationId, { status = '', limit = 1000 } = {}) {
+  return db
+    .prepare(`
+      SELECT * FROM reconciliation_items
+      WHERE reconciliation_id = ? AND (? = '' OR status = ?)
+      ORDER BY sku, shopify_location_id
+      LIMIT ?
+    `)
+    .all(reconciliationId, status, status, limit);
+}
+
+export function getReconciliationItems(ids) {
+  if (!ids.length) return [];
+  return db
+    .prepare(`SELECT * FROM reconciliation_items WHERE id IN (${ids.map(() => '?').join(', ')})`)
+    .all(...ids);
+}
+
+export function markReconciliationItemFixed(id) {
+  db.prepare('UPDATE reconciliation_items SET fixed_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+}
+
+function parseJobRow(row) {
+  if (!row) return null;
+  const { payload_json: payloadJson, result_json: resultJson, ...rest } = row;
+  return {
+    ...rest,
+    payload: payloadJson ? JSON.parse(payloadJson) : null,
+    result: resultJson ? JSON.parse(resultJson) : null
+  };
+}
+
+export function enqueueJob({ type, payload, maxAttempts = 5 }) {
+  const info = db
+    .prepare('INSERT INTO jobs (type, payload_json, max_attempts) VALUES (?, ?, ?)')
+    .run(type, payload ? JSON.stringify(payload) : null, maxAttempts);
+  return Number(info.lastInsertRowid);
+}
+
+const claimJobTx = db.transaction(() => {
+  const row = db
+    .prepare(`
+      SELECT * FROM jobs
+      WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP
+      ORDER BY run_at, id
+      LIMIT 1
+    `)
+    .get();
+  if (!row) return null;
+
+  db.prepare(`
+    UPDATE jobs
+    SET status = 'running', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(row.id);
+
+  return parseJobRow({ ...row, status: 'running', attempts: row.attempts + 1 });
+});
+
+export function claimNextJob() {
+  return claimJobTx();
+}
+
+export function completeJob(id, result) {
+  db.prepare(`
+    UPDATE jobs
+    SET status = 'done', last_error = NULL, result_json = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(result ? JSON.stringify(result) : null, id);
+}
+
+export function failJob(id, { error, retryInSeconds = null }) {
+  if (retryInSeconds === null) {
+    db.prepare(`
+      UPDATE jobs
+      SET status = 'dead', last_error = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(error ?? '', id);
+    return;
+  }
+
+  db.prepare(`
+    UPDATE jobs
+    SET status = 'queued',
+      last_error = ?,
+      run_at = datetime('now', ?),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(error ?? '', `+${Math.max(0, Math.round(retryInSeconds))} seconds`, id);
+}
+
+export function retryJob(id) {
+  const info = db.prepare(`
+    UPDATE jobs
+    SET status = 'queued', attempts = 0, run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status IN ('dead', 'done')
+  `).run(id);
+  return info.changes > 0;
+}
+
+// Jobs left as running by a crashed process go back to the queue.
+export function requeueRunningJobs() {
+  return db.prepare(`
+    UPDATE jobs
+    SET status = 'queued', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'running'
+  `).run().changes;
+}
+
+export function getJob(id) {
+  return parseJobRow(db.prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+}
+
+export function listJobs({ status = '', limit = 100 } = {}) {
+  const rows = status
+    ? db.prepare('SELECT * FROM jobs WHERE status = ? ORDER BY id DESC LIMIT ?').all(status, limit)
+    : db.prepare('SELECT * FROM jobs ORDER BY id DESC LIMIT ?').all(limit);
+  return rows.map(parseJobRow);
+}
+
+function parseSyncRunRow(row) {
+  if (!row) return null;
+  const {
+    options_json: optionsJson,
+    counters_json: countersJson,
+    checkpoint_json: checkpointJson,
+    ...rest
+  } = row;
+  return {
+    ...rest,
+    options: optionsJson ? JSON.parse(optionsJson) : {},
+    counters: countersJson ? JSON.parse(countersJson) : {},
+    checkpoint: checkpointJson ? JSON.parse(checkpointJson) : {}
+  };
+}
+
+export function createSyncRun({ type, trigger, options }) {
+  const info = db
+    .prepare("INSERT INTO sync_runs (type, trigger, status, options_json) VALUES (?, ?, 'running', ?)")
+    .run(type, trigger ?? '', options ? JSON.stringify(options) : null);
+  return Number(info.lastInsertRowid);
+}
+
+export function updateSyncRunCounters(id, counters) {
+  db.prepare(`
+    UPDATE sync_runs SET counters_json = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(JSON.stringify(counters), id);
+}
+
+// A checkpoint marks currentPage as fully processed; resumes start at the next page.
+export function checkpointSyncRun(id, { currentPage, totalPages, counters }) {
+  const countersJson = JSON.stringify(counters);
+  db.prepare(`
+    UPDATE sync_runs
+    SET current_page = ?,
+      total_pages = ?,
+      counters_json = ?,
+      checkpoint_json = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(currentPage, totalPages ?? null, countersJson, countersJson, id);
+}
+
+export function finishSyncRun(id, { status, counters, error, durationMs }) {
+  db.prepare(`
+    UPDATE sync_runs
+    SET status = ?,
+      counters_json = COALESCE(?, counters_json),
+      updated = COALESCE(?, updated),
+      skipped = COALESCE(?, skipped),
+      not_found = COALESCE(?, not_found),
+      errors = COALESCE(?, errors),
+      unchanged = COALESCE(?, unchanged),
+      conflicts = COALESCE(?, conflicts),
+      ambiguous = COALESCE(?, ambiguous),
+      duration_ms = ?,
+      error = ?,
+      finished_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(
+    status,
+    counters ? JSON.stringify(counters) : null,
+    counters?.updated ?? null,
+    counters?.skipped ?? null,
+    counters?.notFound ?? null,
+    counters?.errors ?? null,
+    counters?.unchanged ?? null,
+    counters?.conflicts ?? null,
+    counters?.ambiguous ?? null,
+    durationMs ?? null,
+    error ?? null,
+    id
+  );
+}
+
+export function reopenSyncRun(id) {
+  db.prepare(`
+    UPDATE sync_runs
+    SET status = 'running', error = NULL, finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(id);
+}
+
+// Runs still marked as running belong to a process that died mid-run.
+export function markInterruptedSyncRuns() {
+  return db.prepare(`
+    UPDATE sync_runs
+    SET status = 'interrupted', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'running'
+  `).run().changes;
+}
+
+export function getSyncRun(id) {
+  return parseSyncRunRow(db.prepare('SELECT * FROM sync_runs WHERE id = ?').get(id));
+}
+
+export function getLatestSyncRun(type) {
+  return parseSyncRunRow(
+    db.prepare('SELECT * FROM sync_runs WHERE type = ? ORDER BY id DESC LIMIT 1').get(type)
+  );
+}
+
+export function listSyncRuns({ type = '', trigger = '', limit = 50 } = {}) {
+  const rows = db
+    .prepare(`
+      SELECT * FROM sync_runs
+      WHERE (? = '' OR type = ?) AND (? = '' OR trigger = ?)
+      ORDER BY id DESC
+      LIMIT ?
+    `)
+    .all(type, type, trigger, trigger, limit);
+  return rows.map(parseSyncRunRow);
+}
+
+export function addSyncRunItem(runId, item) {
+  const stmt = db.prepare(`
+    INSERT INTO sync_run_items (
+      run_id,
+      sku,
+      tiny_deposito_nome,
+      shopify_location_id,
+      quantity,
+      status,
+      message
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  stmt.run(
+    runId,
+    item.sku ?? '',
+    item.tiny_deposito_nome ?? '',
+    item.shopify_location_id ?? '',
+    item.quantity ?? null,
+    item.status,
+    item.message ?? ''
+  );
+}
+
+export function listSyncRunItems(runId, { status = '', limit = 500 } = {}) {
+  return db
+    .prepare(`
+      SELECT * FROM sync_run_items
+      WHERE run_id = ? AND (? = '' OR status = ?)
+      ORDER BY id
+      LIMIT ?
+    `)
+    .all(runId, status, status, limit);
+}
+
+const USER_COLUMNS = 'id, username, role, last_login_at, created_at, updated_at';
+
+export function countUsers({ role = '' } = {}) {
+  return db.prepare("SELECT COUNT(*) AS total FROM users WHERE ? = '' OR role = ?").get(role, role).total;
+}
+
+export function listUsers() {
+  return db.prepare(`SELECT ${USER_COLUMNS} FROM users ORDER BY username`).all();
+}
+
+export function getUser(id) {
+  return db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`).get(Number(id));
+}
+
+// The only lookup that returns the password hash, for the login check.
+export function getUserCredentials(username) {
+  return db.prepare('SELECT * FROM users WHERE username = ?').get(String(username));
+}
+
+export function createUser({ username, passwordHash, role }) {
+  return Number(
+    db
+      .prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)')
+      .run(username, passwordHash, role).lastInsertRowid
+  );
+}
+
+export function updateUser(id, { role, passwordHash }) {
+  db.prepare(`
+    UPDATE users
+    SET role = COALESCE(?, role),
+      password_hash = COALESCE(?, password_hash),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(role ?? null, passwordHash ?? null, Number(id));
+}
+
+export function deleteUser(id) {
+  deleteUserSessions(id);
+  return db.prepare('DELETE FROM users WHERE id = ?').run(Number(id)).changes;
+}
+
+export function createSession({ tokenHash, userId, ttlHours }) {
+  db.prepare("DELETE FROM sessions WHERE expires_at <= datetime('now')").run();
+  db.prepare(`
+    INSERT INTO sessions (token_hash, user_id, expires_at)
+    VALUES (?, ?, datetime('now', ?))
+  `).run(tokenHash, Number(userId), `+${Number(ttlHours)} hours`);
+  db.prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(Number(userId));
+}
+
+export function getSessionUser(tokenHash) {
+  return db
+    .prepare(`
+      SELECT users.id, users.username, users.role, sessions.expires_at
+      FROM sessions
+      JOIN users ON users.id = sessions.user_id
+      WHERE sessions.token_hash = ? AND sessions.expires_at > datetime('now')
+    `)
+    .get(tokenHash);
+}
+
+export function deleteSession(tokenHash) {
+  db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
+}
+
+export function deleteUserSessions(userId) {
+  db.prepare('DELETE FROM sessions WHERE user_id = ?').run(Number(userId));
+}
+
+// Returns false when the same delivery was already received within the window.
+// Each type has its own window, so expiry only touches receipts of the same type.
+export function recordWebhookReceipt({ dedupKey, type, windowMinutes }) {
+  db.prepare("DELETE FROM webhook_receipts WHERE type = ? AND received_at <= datetime('now', ?)").run(
+    type,
+    `-${Number(windowMinutes)} minutes`
+  );
+  const result = db
+    .prepare('INSERT OR IGNORE INTO webhook_receipts (dedup_key, type) VALUES (?, ?)')
+    .run(dedupKey, type);
+  return result.changes > 0;
+}
+
+export function deleteWebhookReceipt(dedupKey) {
+  db.prepare('DELETE FROM webhook_receipts WHERE dedup_key = ?').run(dedupKey);
+}
+
+export function saveWebhookInboxEntry(entry, { retentionDays }) {
+  const { type, status, reason, ip, url, contentType, headers, body, bodySize, jobId } = entry;
+  db.prepare("DELETE FROM webhook_inbox WHERE received_at <= datetime('now', ?)").run(
+    `-${Number(retentionDays)} days`
+  );
+  const info = db
+    .prepare(`
+      INSERT INTO webhook_inbox
+        (type, status, reason, ip, url, content_type, headers_json, body, body_size, job_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `)
+    .run(
+      type,
+      status,
+      reason ?? null,
+      ip ?? null,
+      url ?? null,
+      contentType ?? null,
+      JSON.stringify(headers || {}),
+      body ?? '',
+      bodySize ?? null,
+      jobId ?? null
+    );
+  return Number(info.lastInsertRowid);
+}
+
+// The processing outcome lives in the job: the entry points at the job of its last run.
+const WEBHOOK_INBOX_SELECT = `
+  SELECT webhook_inbox.*, jobs.status AS job_status, jobs.last_error, jobs.result_json
+  FROM webhook_inbox
+  LEFT JOIN jobs ON jobs.id = webhook_inbox.job_id
+`;
+
+function parseWebhookInboxRow(row) {
+  if (!row) return null;
+  const { headers_json: headersJson, result_json: resultJson, ...rest } = row;
+  return {
+    ...rest,
+    headers: headersJson ? JSON.parse(headersJson) : {},
+    result: resultJson ? JSON.parse(resultJson) : null
+  };
+}
+
+// status matches the receipt (accepted, duplicate, rejected, error) or the job (queued, done, dead...).
+export function listWebhookInbox({ type = '', status = '', search = '', limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (type) {
+    where.push('webhook_inbox.type = ?');
+    params.push(type);
+  }
+  if (status) {
+    where.push('(webhook_inbox.status = ? OR jobs.status = ?)');
+    params.push(status, status);
+  }
+  if (search) {
+    where.push('webhook_inbox.body LIKE ?');
+    params.push(`%${search}%`);
+  }
+
+  const rows = db
+    .prepare(`
+      ${WEBHOOK_INBOX_SELECT}
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY webhook_inbox.id DESC
+      LIMIT ?
+    `)
+    .all(...params, limit);
+  return rows.map(parseWebhookInboxRow);
+}
+
+export function getWebhookInboxEntry(id) {
+  return parseWebhookInboxRow(db.prepare(`${WEBHOOK_INBOX_SELECT} WHERE webhook_inbox.id = ?`).get(id));
+}
+
+export function markWebhookInboxReplayed(id, jobId) {
+  db.prepare(`
+    UPDATE webhook_inbox
+    SET job_id = ?, replays = replays + 1, replayed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(jobId, id);
+}
+
+export function getShopifyOrderMovement({ orderId, lineItemId, kind }) {
+  return db
+    .prepare('SELECT * FROM shopify_order_movements WHERE order_id = ? AND line_item_id = ? AND kind = ?')
+    .get(String(orderId), String(lineItemId), kind);
+}
+
+export function saveShopifyOrderMovement(movement) {
+  db.prepare(`
+    INSERT INTO shopify_order_movements (
+      order_id, order_name, line_item_id, kind, sku, quantity, shopify_location_id,
+      tiny_product_id, tiny_deposito_id, tiny_deposito_nome, status, reason, tiny_movement_id
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(order_id, line_item_id, kind) DO UPDATE SET
+      sku = excluded.sku,
+      quantity = excluded.quantity,
+      shopify_location_id = excluded.shopify_location_id,
+      tiny_product_id = excluded.tiny_product_id,
+      tiny_deposito_id = excluded.tiny_deposito_id,
+      tiny_deposito_nome = excluded.tiny_deposito_nome,
+      status = excluded.status,
+      reason = excluded.reason,
+      tiny_movement_id = excluded.tiny_movement_id,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(
+    String(movement.order_id),
+    movement.order_name ?? null,
+    String(movement.line_item_id),
+    movement.kind,
+    movement.sku ?? null,
+    Number(movement.quantity) || 0,
+    movement.shopify_location_id ?? null,
+    movement.tiny_product_id ?? null,
+    movement.tiny_deposito_id ?? null,
+    movement.tiny_deposito_nome ?? null,
+    movement.status,
+    movement.reason ?? null,
+    movement.tiny_movement_id ?? null
+  );
+}
+
+export function getShopifyOrderMovementById(id) {
+  return db.prepare('SELECT * FROM shopify_order_movements WHERE id = ?').get(Number(id));
+}
+
+// Settles a pending movement once it was checked on Tiny; returns false when it was not pending.
+export function resolveShopifyOrderMovement(id, { status, reason }) {
+  const info = db
+    .prepare(`
+      UPDATE shopify_order_movements
+      SET status = ?, reason = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `)
+    .run(status, reason ?? null, Number(id));
+  return info.changes > 0;
+}
+
+export function listShopifyOrderMovements({ orderId = '', status = '', limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (orderId) {
+    where.push('(order_id = ? OR order_name = ?)');
+    params.push(orderId, orderId);
+  }
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+
+  return db
+    .prepare(`
+      SELECT * FROM shopify_order_movements
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `)
+    .all(...params, limit);
+}
+
 export default db;
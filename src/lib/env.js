@@ -2,13 +2,23 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+function parseTrustProxy(value) {
+  if (!value) return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
 export const env = {
   port: Number(process.env.PORT || 3000),
   baseUrl: process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`,
   tiny: {
     token: process.env.TINY_API_TOKEN || '',
     format: process.env.TINY_API_FORMAT || 'json',
-    webhookSecret: process.env.TINY_WEBHOOK_SECRET || ''
+    webhookSecret: process.env.TINY_WEBHOOK_SECRET || '',
+    apiVersion: process.env.TINY_API_VERSION || 'v2',
+    clientId: process.env.TINY_CLIENT_ID || '',
+    clientSecret: process.env.TINY_CLIENT_SECRET || '',
+    redirectUri: process.env.TINY_REDIRECT_URI || ''
   },
   shopify: {
     store: process.env.SHOPIFY_STORE || '',
@@ -19,7 +29,15 @@ export const env = {
     scopes:
       process.env.SHOPIFY_SCOPES ||
       'read_products,read_locations,read_inventory,write_inventory',
-    redirectUri: process.env.SHOPIFY_REDIRECT_URI || ''
+    redirectUri: process.env.SHOPIFY_REDIRECT_URI || '',
+    webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET || ''
+  },
+  auth: {
+    adminUsername: process.env.ADMIN_USERNAME || '',
+    adminPassword: process.env.ADMIN_PASSWORD || '',
+    sessionTtlHours: Number(process.env.SESSION_TTL_HOURS || 12)
   },
+  configEncryptionKey: process.env.CONFIG_ENCRYPTION_KEY || '',
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   syncIntervalMinutes: Number(process.env.SYNC_INTERVAL_MINUTES || 180)
 };
@@ -0,0 +1,148 @@
+const limiters = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function resolveSetting(value) {
+  return typeof value === 'function' ? value() : value;
+}
+
+export function parseRetryAfterMs(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(raw);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+export function retryableError(message, { retryAfterMs = null, throttled = false } = {}) {
+  const error = new Error(message);
+  error.retryable = true;
+  error.throttled = throttled;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+// One limiter per provider, shared by every caller in the process.
+// requestsPerMinute caps a sliding one-minute window; the cost budget mirrors
+// Shopify's leaky bucket (currentlyAvailable/restoreRate) as last reported.
+export function createRateLimiter(name, { requestsPerMinute = null } = {}) {
+  const stats = { requests: 0, waits: 0, waitMs: 0, retries: 0, throttled: 0 };
+  const recent = [];
+  let budget = null;
+  let blockedUntil = 0;
+  let queue = Promise.resolve();
+
+  function availableBudget(now = Date.now()) {
+    const elapsedSeconds = (now - budget.updatedAt) / 1000;
+    return Math.min(budget.maximum, budget.available + elapsedSeconds * budget.restoreRate);
+  }
+
+  function budgetWaitMs(cost) {
+    if (!budget || !cost || budget.restoreRate <= 0) return 0;
+    const available = availableBudget();
+    if (available >= cost) return 0;
+    return Math.ceil(((cost - available) / budget.restoreRate) * 1000);
+  }
+
+  function windowWaitMs() {
+    const limit = Number(resolveSetting(requestsPerMinute));
+    if (!Number.isFinite(limit) || limit <= 0) return 0;
+
+    const now = Date.now();
+    while (recent.length && now - recent[0] >= 60 * 1000) {
+      recent.shift();
+    }
+
+    if (recent.length < limit) return 0;
+    return 60 * 1000 - (now - recent[0]);
+  }
+
+  async function take(cost) {
+    while (true) {
+      const waitMs = Math.max(blockedUntil - Date.now(), windowWaitMs(), budgetWaitMs(cost));
+      if (waitMs <= 0) break;
+
+      stats.waits += 1;
+      stats.waitMs += waitMs;
+      await sleep(waitMs);
+    }
+
+    const now = Date.now();
+    recent.push(now);
+    stats.requests += 1;
+
+    if (budget && cost) {
+      budget = { ...budget, available: availableBudget(now) - cost, updatedAt: now };
+    }
+  }
+
+  const limiter = {
+    name,
+    stats,
+
+    // Requests are admitted one at a time so waits are not computed on stale state.
+    acquire(cost = 0) {
+      const turn = queue.then(() => take(cost));
+      queue = turn.catch(() => {});
+      return turn;
+    },
+
+    block(ms) {
+      blockedUntil = Math.max(blockedUntil, Date.now() + Math.max(0, ms));
+    },
+
+    updateBudget({ currentlyAvailable, maximumAvailable, restoreRate }) {
+      if (!Number.isFinite(Number(currentlyAvailable)) || !Number.isFinite(Number(restoreRate))) return;
+      budget = {
+        available: Number(currentlyAvailable),
+        maximum: Number(maximumAvailable) || Number(currentlyAvailable),
+        restoreRate: Number(restoreRate),
+        updatedAt: Date.now()
+      };
+    },
+
+    async run(task, { maxRetries = 4, baseDelayMs = 1000 } = {}) {
+      let attempt = 0;
+      while (true) {
+        try {
+          return await task();
+        } catch (error) {
+          if (!error.retryable || attempt >= maxRetries) throw error;
+
+          attempt += 1;
+          stats.retries += 1;
+          if (error.throttled) stats.throttled += 1;
+          limiter.block(error.retryAfterMs ?? baseDelayMs * 2 ** (attempt - 1));
+        }
+      }
+    }
+  };
+
+  limiters.set(name, limiter);
+  return limiter;
+}
+
+export function getRateLimitStats() {
+  const snapshot = {};
+  for (const [name, limiter] of limiters) {
+    snapshot[name] = { ...limiter.stats };
+  }
+  return snapshot;
+}
+
+export function diffRateLimitStats(before, after = getRateLimitStats()) {
+  const diff = {};
+  for (const [name, current] of Object.entries(after)) {
+    const previous = before[name] || {};
+    diff[name] = Object.fromEntries(
+      Object.entries(current).map(([key, value]) => [key, value - (previous[key] || 0)])
+    );
+  }
+  return diff;
+}
@@ -0,0 +1,77 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'node:crypto';
+import { env } from './env.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+const KEY_SALT = 'tiny-shopify-config';
+
+export const SECRET_CONFIG_KEYS = [
+  'tiny_api_token',
+  'tiny_webhook_secret',
+  'tiny_client_secret',
+  'tiny_oauth_access_token',
+  'tiny_oauth_refresh_token',
+  'shopify_access_token',
+  'shopify_client_secret',
+  'shopify_webhook_secret',
+  'shopify_oauth_state_secret'
+];
+
+export const SECRET_MASK = '********';
+
+let cachedKey = null;
+
+// The passphrase is stretched once; any string works, a long random one is recommended.
+function getKey() {
+  if (!env.configEncryptionKey) return null;
+  if (!cachedKey) {
+    cachedKey = scryptSync(env.configEncryptionKey, KEY_SALT, 32);
+  }
+  return cachedKey;
+}
+
+export function isSecretConfigKey(key) {
+  return SECRET_CONFIG_KEYS.includes(key);
+}
+
+export function hasEncryptionKey() {
+  return Boolean(getKey());
+}
+
+export function isEncrypted(value) {
+  return String(value || '').startsWith(PREFIX);
+}
+
+// The config key is bound as AAD, so a ciphertext copied onto another key fails to decrypt.
+// Without CONFIG_ENCRYPTION_KEY the value is kept as plain text.
+export function encryptSecret(name, value) {
+  const key = getKey();
+  if (!key || value === '') return value;
+
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(name));
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `${PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${data.toString('base64')}`;
+}
+
+export function decryptSecret(name, value) {
+  if (!isEncrypted(value)) return value;
+
+  const key = getKey();
+  if (!key) {
+    throw new Error(`CONFIG_ENCRYPTION_KEY não configurada: não é possível ler ${name}`);
+  }
+
+  const [ivText, tagText, dataText] = value.slice(PREFIX.length).split(':');
+  try {
+    const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(ivText, 'base64'));
+    decipher.setAAD(Buffer.from(name));
+    decipher.setAuthTag(Buffer.from(tagText, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(dataText, 'base64')), decipher.final()]);
+    return data.toString('utf8');
+  } catch {
+    throw new Error(`CONFIG_ENCRYPTION_KEY não confere com a usada para gravar ${name}`);
+  }
+}
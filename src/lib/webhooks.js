@@ -0,0 +1,70 @@
+import { BlockList, isIP } from 'node:net';
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+
+export const WEBHOOK_AUTH_MODES = ['secret', 'signature'];
+
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+export function signWebhookBody(secret, timestamp, rawBody) {
+  return createHmac('sha256', String(secret))
+    .update(`${timestamp}.`)
+    .update(rawBody || '')
+    .digest('hex');
+}
+
+// The timestamp is part of the signed text, so an old delivery cannot be replayed with a new one.
+export function verifyWebhookSignature({ secret, timestamp, signature, rawBody, toleranceSeconds }) {
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || !signature) return false;
+  // Fails closed: a tolerance that is not a positive number would disable the window.
+  if (!(Number(toleranceSeconds) > 0)) return false;
+  if (Math.abs(Date.now() / 1000 - sentAt) > toleranceSeconds) return false;
+
+  const expected = signWebhookBody(secret, timestamp, rawBody);
+  return safeEqual(String(signature).replace(/^sha256=/, ''), expected);
+}
+
+export function hashWebhookBody(rawBody) {
+  return createHash('sha256').update(rawBody || '').digest('hex');
+}
+
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+}
+
+// Entries are IPs or CIDR ranges separated by commas, spaces or new lines.
+// Returns null for an empty list (everyone allowed) and throws on an invalid entry.
+export function parseIpAllowlist(text) {
+  const entries = String(text || '').split(/[\s,]+/).filter(Boolean);
+  if (!entries.length) return null;
+
+  const list = new BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const version = isIP(normalizeIp(address));
+    const bits = Number(prefix);
+    const validPrefix = prefix === undefined || (/^\d+$/.test(prefix) && bits <= (version === 4 ? 32 : 128));
+    if (!version || !validPrefix) {
+      throw new Error(`IP inválido na lista de IPs permitidos: ${entry}`);
+    }
+
+    const type = version === 4 ? 'ipv4' : 'ipv6';
+    if (prefix === undefined) {
+      list.addAddress(normalizeIp(address), type);
+    } else {
+      list.addSubnet(normalizeIp(address), bits, type);
+    }
+  }
+  return list;
+}
+
+export function isIpAllowed(allowlist, ip) {
+  if (!allowlist) return true;
+  const address = normalizeIp(ip);
+  const version = isIP(address);
+  return Boolean(version) && allowlist.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
@@ -1,10 +1,47 @@
 const configForm = document.getElementById('config-form');
 const mappingForm = document.getElementById('mapping-form');
 const mappingsBody = document.getElementById('mappings-body');
+const skuRuleForm = document.getElementById('sku-rule-form');
+const skuRulesBody = document.getElementById('sku-rules-body');
+const skuRuleMappingSelect = document.getElementById('sku-rule-mapping');
+const scopedSyncForm = document.getElementById('scoped-sync-form');
+const scopedSyncMappingSelect = document.getElementById('scoped-sync-mapping');
 const logsPre = document.getElementById('logs');
 const oauthStatus = document.getElementById('oauth-status');
 const oauthButton = document.getElementById('connect-shopify-oauth');
 const oauthCallback = document.getElementById('oauth-callback');
+const tinyOauthStatus = document.getElementById('tiny-oauth-status');
+const tinyOauthButton = document.getElementById('connect-tiny-oauth');
+const tinyOauthCallback = document.getElementById('tiny-oauth-callback');
+const previewBody = document.getElementById('preview-body');
+const previewSummary = document.getElementById('preview-summary');
+const previewOnlyChanged = document.getElementById('preview-only-changed');
+const fullSyncProgress = document.getElementById('full-sync-progress');
+const skuCacheBody = document.getElementById('sku-cache-body');
+const skuCacheSummary = document.getElementById('sku-cache-summary');
+const skuCacheSearch = document.getElementById('sku-cache-search');
+const duplicatesBody = document.getElementById('duplicates-body');
+const duplicatesSummary = document.getElementById('duplicates-summary');
+const reconciliationBody = document.getElementById('reconciliation-body');
+const reconciliationSummary = document.getElementById('reconciliation-summary');
+const reconciliationStatusFilter = document.getElementById('reconciliation-status-filter');
+const resumeFullSyncButton = document.getElementById('resume-full-sync');
+const runsBody = document.getElementById('runs-body');
+const runsTypeFilter = document.getElementById('runs-type-filter');
+const runItemsPre = document.getElementById('run-items');
+const jobsBody = document.getElementById('jobs-body');
+const jobsStatusFilter = document.getElementById('jobs-status-filter');
+const webhookInboxBody = document.getElementById('webhook-inbox-body');
+const webhookInboxDetail = document.getElementById('webhook-inbox-detail');
+const locationSelect = document.getElementById('shopify-location-select');
+const locationManualInput = document.getElementById('shopify-location-manual-id');
+const depositsList = document.getElementById('tiny-deposits-list');
+const lookupStatus = document.getElementById('lookup-status');
+
+const MANUAL_LOCATION = '__manual';
+let shopifyLocations = [];
+let editingMappingId = null;
+let currentUser = null;
 
 async function api(path, options = {}) {
   const response = await fetch(path, {
@@ -14,33 +51,134 @@ async function api(path, options = {}) {
 
   if (!response.ok) {
     const err = await response.json().catch(() => ({}));
-    throw new Error(err.error || `Erro HTTP ${response.status}`);
+    if (response.status === 401) showLogin(err);
+    throw new Error(err.error || err.message || `Erro HTTP ${response.status}`);
   }
 
   return response.json();
 }
 
+function showLogin({ setupRequired = false } = {}) {
+  currentUser = null;
+  document.body.classList.add('logged-out');
+  document.getElementById('login-title').textContent = setupRequired ? 'Criar administrador' : 'Entrar';
+  document.getElementById('login-help').textContent = setupRequired
+    ? 'Nenhum usuário cadastrado: o usuário criado agora será o administrador.'
+    : '';
+  document.getElementById('login-form').dataset.setup = setupRequired ? '1' : '';
+}
+
+async function loadSession() {
+  try {
+    const { user } = await api('/api/auth/me');
+    currentUser = user;
+  } catch {
+    return null;
+  }
+
+  document.body.classList.remove('logged-out');
+  document.body.dataset.role = currentUser.role;
+  document.getElementById('session-user').textContent =
+    `${currentUser.username} (${currentUser.role === 'admin' ? 'administrador' : 'operador'})`;
+  return currentUser;
+}
+
+const usersBody = document.getElementById('users-body');
+
+async function loadUsers() {
+  const { users } = await api('/api/users');
+  usersBody.innerHTML = '';
+
+  for (const user of users) {
+    const nextRole = user.role === 'admin' ? 'operator' : 'admin';
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td>${user.username}</td>
+      <td>${user.role === 'admin' ? 'Administrador' : 'Operador'}</td>
+      <td>${user.last_login_at || '-'}</td>
+      <td>
+        <button class="role" type="button">${nextRole === 'admin' ? 'Tornar administrador' : 'Tornar operador'}</button>
+        <button class="password" type="button">Trocar senha</button>
+        <button class="delete" type="button">Remover</button>
+      </td>
+    `;
+
+    const update = async (changes) => {
+      try {
+        await api(`/api/users/${user.id}`, { method: 'PATCH', body: JSON.stringify(changes) });
+      } catch (error) {
+        alert(error.message);
+      }
+      await loadUsers();
+    };
+
+    tr.querySelector('.role').addEventListener('click', () => update({ role: nextRole }));
+    tr.querySelector('.password').addEventListener('click', () => {
+      const password = prompt(`Nova senha para ${user.username}:`);
+      if (password) update({ password });
+    });
+    tr.querySelector('.delete').addEventListener('click', async () => {
+      if (!confirm(`Remover o usuário ${user.username}?`)) return;
+      try {
+        await api(`/api/users/${user.id}`, { method: 'DELETE' });
+      } catch (error) {
+        alert(error.message);
+      }
+      await loadUsers();
+    });
+
+    usersBody.appendChild(tr);
+  }
+}
+
 function setFormValue(name, value) {
   const input = configForm.elements.namedItem(name);
   if (input) input.value = value || '';
 }
 
+// Saved secrets are not sent to the browser: the field stays blank and a blank field keeps the value.
+function setSecretField(name, isSet) {
+  const input = configForm.elements.namedItem(name);
+  if (!input) return;
+  input.value = '';
+  input.placeholder = isSet ? 'definido (deixe em branco para manter)' : 'não definido';
+}
+
 async function loadConfig() {
   const cfg = await api('/api/config');
-  setFormValue('tiny_api_token', cfg.tiny_api_token);
+  setFormValue('tiny_api_version', cfg.tiny_api_version || 'v2');
+  setSecretField('tiny_api_token', cfg.secrets?.tiny_api_token);
   setFormValue('tiny_api_format', cfg.tiny_api_format || 'json');
-  setFormValue('tiny_webhook_secret', cfg.tiny_webhook_secret);
+  setFormValue('tiny_rate_limit_per_minute', cfg.tiny_rate_limit_per_minute || 30);
+  setSecretField('tiny_webhook_secret', cfg.secrets?.tiny_webhook_secret);
+  setFormValue('tiny_webhook_auth_mode', cfg.tiny_webhook_auth_mode || 'secret');
+  setFormValue('tiny_webhook_allowed_ips', cfg.tiny_webhook_allowed_ips);
+  setFormValue('tiny_webhook_dedup_minutes', cfg.tiny_webhook_dedup_minutes || 10);
+  setFormValue('tiny_webhook_signature_tolerance_seconds', cfg.tiny_webhook_signature_tolerance_seconds || 300);
+  setFormValue('webhook_inbox_retention_days', cfg.webhook_inbox_retention_days || 30);
+  setFormValue('tiny_client_id', cfg.tiny_client_id);
+  setSecretField('tiny_client_secret', cfg.secrets?.tiny_client_secret);
+  setFormValue('tiny_redirect_uri', cfg.tiny_redirect_uri);
   setFormValue('shopify_store', cfg.shopify_store);
-  setFormValue('shopify_access_token', cfg.shopify_access_token);
+  setSecretField('shopify_access_token', cfg.secrets?.shopify_access_token);
   setFormValue('shopify_client_id', cfg.shopify_client_id);
-  setFormValue('shopify_client_secret', cfg.shopify_client_secret);
+  setSecretField('shopify_client_secret', cfg.secrets?.shopify_client_secret);
+  setSecretField('shopify_webhook_secret', cfg.secrets?.shopify_webhook_secret);
+  setFormValue('shopify_orders_to_tiny', cfg.shopify_orders_to_tiny || '0');
+  setFormValue('shopify_webhook_dedup_minutes', cfg.shopify_webhook_dedup_minutes || 2880);
   setFormValue(
     'shopify_scopes',
     cfg.shopify_scopes || 'read_products,read_locations,read_inventory,write_inventory'
   );
   setFormValue('shopify_redirect_uri', cfg.shopify_redirect_uri);
   setFormValue('shopify_api_version', cfg.shopify_api_version || '2026-01');
+  setFormValue('shopify_batch_size', cfg.shopify_batch_size || 100);
+  setFormValue('shopify_write_mode', cfg.shopify_write_mode || 'overwrite');
+  setFormValue('shopify_compare_retries', cfg.shopify_compare_retries ?? 3);
   setFormValue('sync_interval_minutes', cfg.sync_interval_minutes || 180);
+  setFormValue('sync_preview_max_age_minutes', cfg.sync_preview_max_age_minutes || 30);
+  setFormValue('sku_cache_ttl_hours', cfg.sku_cache_ttl_hours ?? 0);
+  setFormValue('sku_cache_warmup_hour', cfg.sku_cache_warmup_hour ?? '');
 }
 
 async function loadOauthStatus() {
@@ -55,16 +193,176 @@ async function loadOauthStatus() {
   oauthCallback.textContent = `Callback OAuth esperado: ${status.callbackUrl || '-'}`;
 }
 
+async function loadTinyOauthStatus() {
+  const status = await api('/api/tiny/oauth/status');
+  tinyOauthStatus.textContent = status.connected
+    ? `Conectado (refresh token válido até ${status.refreshExpiresAt || '-'})`
+    : 'Não conectado';
+  if (status.version !== 'v3') tinyOauthStatus.textContent += ' — API v2 em uso';
+  tinyOauthButton.textContent = status.connected ? 'Reconectar Tiny v3' : 'Conectar Tiny v3';
+
+  if (!status.hasClientId || !status.hasClientSecret) {
+    tinyOauthStatus.textContent += ' (faltam client_id/client_secret)';
+  }
+
+  tinyOauthCallback.textContent = `Callback OAuth Tiny esperado: ${status.callbackUrl || '-'}`;
+}
+
+const AGGREGATION_LABELS = { sum: 'soma', sum_minus_reserved: 'soma − reservado' };
+
+function describeMappingDeposits(mapping) {
+  const names = [mapping, ...(mapping.extra_deposits || [])].map(
+    (deposit) => deposit.tiny_deposito_nome || deposit.tiny_deposito_id
+  );
+  if (names.length === 1 && mapping.aggregation !== 'sum_minus_reserved') return names[0];
+  return `${names.join(' + ')} (${AGGREGATION_LABELS[mapping.aggregation] || mapping.aggregation})`;
+}
+
+const ALLOCATION_LABELS = { copy: 'cópia', percentage: 'percentual', priority: 'prioridade' };
+
+function describeTargetShare(mapping, target) {
+  if (mapping.allocation === 'percentage') return ` ${target.percentage ?? 100}%`;
+  if (mapping.allocation === 'priority') return ` até ${target.max_quantity ?? '∞'}`;
+  return '';
+}
+
+function describeMappingTargets(mapping) {
+  const primary = {
+    shopify_location_id: mapping.shopify_location_id,
+    shopify_location_name: mapping.shopify_location_name,
+    percentage: mapping.target_percentage,
+    max_quantity: mapping.target_max
+  };
+  const targets = [primary, ...(mapping.extra_targets || [])];
+  if (targets.length === 1 && mapping.allocation === 'copy') {
+    return primary.shopify_location_name || primary.shopify_location_id;
+  }
+
+  const names = targets.map(
+    (target) => `${target.shopify_location_name || target.shopify_location_id}${describeTargetShare(mapping, target)}`
+  );
+  return `${names.join(', ')} (${ALLOCATION_LABELS[mapping.allocation] || mapping.allocation})`;
+}
+
+function targetShareValue(mapping, target) {
+  if (mapping.allocation === 'percentage') return target.percentage;
+  if (mapping.allocation === 'priority') return target.max_quantity;
+  return null;
+}
+
+function syncLocationInputs() {
+  locationManualInput.hidden = shopifyLocations.length > 0 && locationSelect.value !== MANUAL_LOCATION;
+}
+
+function selectLocation(locationId) {
+  const known = shopifyLocations.some((location) => location.id === String(locationId));
+  locationSelect.value = known ? String(locationId) : MANUAL_LOCATION;
+  locationManualInput.value = known ? '' : locationId || '';
+  syncLocationInputs();
+}
+
+async function loadLocationOptions(refresh = false) {
+  const data = await api(`/api/shopify/locations${refresh ? '?refresh=1' : ''}`);
+  shopifyLocations = data.locations || [];
+
+  const current = locationSelect.value;
+  locationSelect.innerHTML = '<option value="">Selecione a location Shopify</option>';
+  for (const location of shopifyLocations) {
+    const option = document.createElement('option');
+    option.value = location.id;
+    option.textContent = location.isActive ? location.name : `${location.name} (inativa)`;
+    locationSelect.appendChild(option);
+  }
+  locationSelect.insertAdjacentHTML('beforeend', `<option value="${MANUAL_LOCATION}">Outra (digitar ID)</option>`);
+  locationSelect.value = current;
+  syncLocationInputs();
+  return data;
+}
+
+async function loadDepositOptions(refresh = false) {
+  const data = await api(`/api/tiny/deposits${refresh ? '?refresh=1' : ''}`);
+  depositsList.innerHTML = '';
+  for (const deposit of data.deposits || []) {
+    const option = document.createElement('option');
+    option.value = deposit.nome;
+    depositsList.appendChild(option);
+  }
+  return data;
+}
+
+async function loadLookups(refresh = false) {
+  lookupStatus.textContent = refresh ? 'Atualizando listas...' : '';
+  const messages = [];
+
+  try {
+    const data = await loadLocationOptions(refresh);
+    messages.push(`${shopifyLocations.length} locations (${data.fetchedAt})${data.stale ? ' — desatualizada' : ''}`);
+  } catch (error) {
+    shopifyLocations = [];
+    syncLocationInputs();
+    messages.push(`Locations indisponíveis: ${error.message}`);
+  }
+
+  try {
+    const data = await loadDepositOptions(refresh);
+    messages.push(`${data.deposits.length} depósitos (${data.fetchedAt})${data.stale ? ' — desatualizada' : ''}`);
+  } catch (error) {
+    messages.push(`Depósitos indisponíveis: ${error.message}`);
+  }
+
+  lookupStatus.textContent = messages.join(' · ');
+}
+
 function mappingRow(mapping) {
   const tr = document.createElement('tr');
   tr.innerHTML = `
-    <td>${mapping.tiny_deposito_nome || mapping.tiny_deposito_id}</td>
-    <td>${mapping.shopify_location_name || mapping.shopify_location_id}</td>
+    <td>${describeMappingDeposits(mapping)}</td>
+    <td>${describeMappingTargets(mapping)}</td>
+    <td>${mapping.stock_buffer || 0}</td>
+    <td>${mapping.stock_max ?? '-'}</td>
     <td>${mapping.active ? 'Ativo' : 'Inativo'}</td>
-    <td><button class="delete" data-id="${mapping.tiny_deposito_id}">Remover</button></td>
+    <td>
+      <button type="button" class="edit">Editar</button>
+      <button type="button" class="toggle">${mapping.active ? 'Desativar' : 'Ativar'}</button>
+      <button type="button" class="resync" ${mapping.active ? '' : 'disabled'}>Sincronizar</button>
+      <button class="delete" data-id="${mapping.tiny_deposito_id}">Remover</button>
+    </td>
   `;
 
-  const btn = tr.querySelector('button');
+  tr.querySelector('.toggle').addEventListener('click', async () => {
+    await api(`/api/mappings/${mapping.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ active: !mapping.active })
+    });
+    await loadMappings();
+    await loadLogs();
+  });
+
+  tr.querySelector('.resync').addEventListener('click', () => resyncMapping(mapping));
+
+  tr.querySelector('.edit').addEventListener('click', () => {
+    setEditingMapping(mapping.id);
+    document.getElementById('tiny-deposito-manual-nome').value = mapping.tiny_deposito_nome || '';
+    selectLocation(mapping.shopify_location_id);
+    document.getElementById('mapping-stock-buffer').value = mapping.stock_buffer || '';
+    document.getElementById('mapping-stock-max').value = mapping.stock_max ?? '';
+    document.getElementById('mapping-extra-deposits').value = (mapping.extra_deposits || [])
+      .map((deposit) => deposit.tiny_deposito_nome)
+      .join(', ');
+    document.getElementById('mapping-aggregation').value = mapping.aggregation || 'sum';
+    document.getElementById('mapping-allocation').value = mapping.allocation || 'copy';
+    document.getElementById('mapping-target-share').value =
+      targetShareValue(mapping, { percentage: mapping.target_percentage, max_quantity: mapping.target_max }) ?? '';
+    document.getElementById('mapping-extra-targets').value = (mapping.extra_targets || [])
+      .map((target) => {
+        const share = targetShareValue(mapping, target);
+        if (share === null || share === undefined) return target.shopify_location_id;
+        return `${target.shopify_location_id}:${share}`;
+      })
+      .join(', ');
+  });
+
+  const btn = tr.querySelector('.delete');
   btn.addEventListener('click', async () => {
     if (!confirm('Remover mapeamento?')) return;
     await api(`/api/mappings/${mapping.tiny_deposito_id}`, { method: 'DELETE' });
@@ -75,12 +373,484 @@ function mappingRow(mapping) {
   return tr;
 }
 
+function setEditingMapping(id) {
+  editingMappingId = id;
+  document.getElementById('mapping-submit').textContent = id ? `Salvar alterações (#${id})` : 'Salvar mapeamento';
+  document.getElementById('mapping-cancel-edit').hidden = !id;
+}
+
+async function resyncMapping(mapping) {
+  if (!confirm(`Executar full sync só do mapeamento ${mapping.tiny_deposito_nome}?`)) return;
+  await startFullSyncRequest(`/api/mappings/${mapping.id}/resync`);
+}
+
 async function loadMappings() {
   const data = await api('/api/mappings');
   mappingsBody.innerHTML = '';
   for (const mapping of data.mappings) {
     mappingsBody.appendChild(mappingRow(mapping));
   }
+
+  skuRuleMappingSelect.innerHTML = '<option value="0">Todos os mapeamentos</option>';
+  scopedSyncMappingSelect.innerHTML = '<option value="">Todos os mapeamentos</option>';
+  for (const mapping of data.mappings) {
+    const label = `${mapping.tiny_deposito_nome} → ${mapping.shopify_location_name || mapping.shopify_location_id}`;
+    for (const select of [skuRuleMappingSelect, scopedSyncMappingSelect]) {
+      const option = document.createElement('option');
+      option.value = mapping.id;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+  }
+}
+
+function skuRuleRow(rule) {
+  const target = rule.mapping_id
+    ? `${rule.tiny_deposito_nome || rule.mapping_id} → ${rule.shopify_location_name || ''}`
+    : 'Todos';
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td>${rule.sku}</td>
+    <td>${target}</td>
+    <td>${rule.stock_buffer ?? '-'}</td>
+    <td>${rule.stock_max ?? '-'}</td>
+    <td><button class="delete" type="button">Remover</button></td>
+  `;
+
+  tr.querySelector('button').addEventListener('click', async () => {
+    if (!confirm('Remover regra?')) return;
+    await api(`/api/sku-rules/${rule.id}`, { method: 'DELETE' });
+    await loadSkuRules();
+  });
+
+  return tr;
+}
+
+async function loadSkuRules() {
+  const { rules } = await api('/api/sku-rules');
+  skuRulesBody.innerHTML = '';
+  for (const rule of rules) {
+    skuRulesBody.appendChild(skuRuleRow(rule));
+  }
+}
+
+let watchedFullSyncRunId = null;
+
+function describeFullSyncRun(run) {
+  const counters = run.counters || {};
+  const page = run.total_pages ? `página ${run.current_page}/${run.total_pages}` : `página ${run.current_page}`;
+  const kind = run.options?.dryRun ? 'Pré-visualização' : 'Full sync';
+  const totals = run.options?.dryRun
+    ? `${counters.previewed || 0} comparados, ${counters.changed || 0} divergências`
+    : `${counters.updated || 0} atualizados, ${counters.unchanged || 0} sem mudança, ` +
+      `${counters.conflicts || 0} conflitos`;
+  const waitMs = (counters.throttle?.tiny?.waitMs || 0) + (counters.throttle?.shopify?.waitMs || 0);
+  const throttle = counters.throttle ? ` Espera por rate limit: ${Math.round(waitMs / 1000)}s.` : '';
+  return `${kind}${describeFullSyncScope(run.options)} #${run.id} (${run.status}) — ${page} concluída, ${totals}, ` +
+    `${counters.notFound || 0} não encontrados, ${counters.skipped || 0} ignorados.${throttle}`;
+}
+
+function describeFullSyncScope(options = {}) {
+  const parts = [];
+  if (options.mappingId) parts.push(`mapeamento #${options.mappingId}`);
+  if (options.skus?.length) parts.push(`${options.skus.length} SKU(s)`);
+  if (options.pesquisa) parts.push(`pesquisa "${options.pesquisa}"`);
+  if (options.namePrefix) parts.push(`nome "${options.namePrefix}…"`);
+  return parts.length ? ` parcial (${parts.join(', ')})` : '';
+}
+
+async function loadFullSyncStatus() {
+  const { run } = await api('/api/sync/full/status');
+  if (!run) {
+    fullSyncProgress.textContent = 'Nenhum full sync executado ainda.';
+    resumeFullSyncButton.hidden = true;
+    return;
+  }
+
+  fullSyncProgress.textContent = describeFullSyncRun(run);
+  resumeFullSyncButton.hidden = !['interrupted', 'failed'].includes(run.status);
+
+  if (run.status === 'running') {
+    watchedFullSyncRunId = run.id;
+    return;
+  }
+
+  if (watchedFullSyncRunId === run.id) {
+    watchedFullSyncRunId = null;
+    await loadPreview();
+    await loadRuns();
+    await loadLogs();
+    alert(run.status === 'completed' ? describeFullSyncRun(run) : `Full sync falhou: ${run.error || run.status}`);
+  }
+}
+
+async function startFullSyncRequest(path, body = {}) {
+  try {
+    const result = await api(path, { method: 'POST', body: JSON.stringify(body) });
+    if (result.runId) watchedFullSyncRunId = result.runId;
+    else alert(result.message || 'Nada para sincronizar.');
+  } catch (error) {
+    alert(error.message);
+  }
+  await loadFullSyncStatus();
+  await loadLogs();
+}
+
+function previewRow(item) {
+  const tr = document.createElement('tr');
+  const shopifyQuantity = item.shopify_quantity === null ? '-' : item.shopify_quantity;
+  const delta = item.delta > 0 ? `+${item.delta}` : item.delta;
+  tr.innerHTML = `
+    <td>${item.sku}</td>
+    <td>${item.shopify_location_name || item.shopify_location_id}</td>
+    <td>${shopifyQuantity}</td>
+    <td>${item.tiny_quantity}</td>
+    <td>${delta}</td>
+  `;
+  return tr;
+}
+
+async function loadPreview() {
+  const onlyChanged = previewOnlyChanged.checked ? '1' : '0';
+  const data = await api(`/api/sync/preview?onlyChanged=${onlyChanged}`);
+  previewBody.innerHTML = '';
+
+  if (!data.preview) {
+    previewSummary.textContent = 'Nenhuma pré-visualização gerada ainda.';
+    return;
+  }
+
+  const { summary, status, finished_at: finishedAt } = data.preview;
+  const applied = status === 'applied' ? ' (já aplicada)' : '';
+  previewSummary.textContent =
+    `Gerada em ${finishedAt}${applied}: ${summary?.previewed || 0} SKU/location comparados, ` +
+    `${summary?.changed || 0} divergências, ${summary?.notFound || 0} não encontrados no Shopify.`;
+
+  for (const item of data.preview.items) {
+    previewBody.appendChild(previewRow(item));
+  }
+}
+
+const RECONCILIATION_STATUS_LABELS = {
+  drift: 'Divergência',
+  only_shopify: 'Só no Shopify',
+  only_tiny: 'Só na Tiny'
+};
+
+let reconciliationRunning = false;
+
+function reconciliationRow(item) {
+  const tr = document.createElement('tr');
+  const fixable = item.status === 'drift' && !item.fixed_at;
+  const delta = item.delta > 0 ? `+${item.delta}` : item.delta ?? '-';
+  const status = RECONCILIATION_STATUS_LABELS[item.status] || item.status;
+  tr.innerHTML = `
+    <td><input type="checkbox" value="${item.id}" ${fixable ? '' : 'disabled'} /></td>
+    <td>${item.fixed_at ? `${status} (corrigida)` : status}</td>
+    <td>${item.sku}</td>
+    <td>${item.shopify_location_name || item.shopify_location_id}</td>
+    <td>${item.shopify_quantity ?? '-'}</td>
+    <td>${item.tiny_quantity ?? '-'}</td>
+    <td>${delta}</td>
+  `;
+  return tr;
+}
+
+async function loadReconciliation() {
+  const status = reconciliationStatusFilter.value;
+  const data = await api(`/api/reconciliation?status=${encodeURIComponent(status)}`);
+  const finished = reconciliationRunning && !data.inProgress;
+  reconciliationRunning = data.inProgress;
+  reconciliationBody.innerHTML = '';
+
+  const { reconciliation } = data;
+  if (!reconciliation) {
+    reconciliationSummary.textContent = 'Nenhuma reconciliação executada ainda.';
+    return;
+  }
+
+  if (reconciliation.status === 'running') {
+    reconciliationSummary.textContent = `Reconciliação #${reconciliation.id} em execução...`;
+    return;
+  }
+
+  const summary = reconciliation.summary || {};
+  reconciliationSummary.textContent = reconciliation.status === 'completed'
+    ? `Reconciliação #${reconciliation.id} de ${reconciliation.finished_at}: ${summary.matched || 0} iguais, ` +
+      `${summary.drift || 0} divergências, ${summary.onlyShopify || 0} só no Shopify, ` +
+      `${summary.onlyTiny || 0} só na Tiny, ${summary.errors || 0} erros.`
+    : `Reconciliação #${reconciliation.id} (${reconciliation.status}): ${reconciliation.error || ''}`;
+
+  for (const item of data.items) {
+    reconciliationBody.appendChild(reconciliationRow(item));
+  }
+
+  if (finished) await loadLogs();
+}
+
+function skuCacheRow(entry) {
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td>${entry.sku}</td>
+    <td>${entry.product_title || ''}</td>
+    <td class="mono">${entry.shopify_inventory_item_id}</td>
+    <td>${entry.updated_at}</td>
+    <td><button class="delete" type="button">Remover</button></td>
+  `;
+
+  tr.querySelector('button').addEventListener('click', async () => {
+    await api(`/api/sku-cache/${encodeURIComponent(entry.sku)}`, { method: 'DELETE' });
+    await loadSkuCache();
+  });
+
+  return tr;
+}
+
+async function loadSkuCache() {
+  const search = encodeURIComponent(skuCacheSearch.value.trim());
+  const data = await api(`/api/sku-cache?search=${search}`);
+  const ttl = data.ttlHours ? `validade de ${data.ttlHours}h` : 'sem validade';
+  skuCacheSummary.textContent = `${data.total} SKU(s) em cache, ${ttl}. Mostrando ${data.entries.length}.`;
+  skuCacheBody.innerHTML = '';
+  for (const entry of data.entries) {
+    skuCacheBody.appendChild(skuCacheRow(entry));
+  }
+}
+
+let duplicatesScanRunning = false;
+
+function duplicateRow(side, group) {
+  const tr = document.createElement('tr');
+  const entries = group.entries
+    .map((entry) => (side === 'Tiny' ? `${entry.nome} (#${entry.id})` : `${entry.title} (${entry.variantId})`))
+    .join('; ');
+  tr.innerHTML = `
+    <td>${side}</td>
+    <td>${group.sku}</td>
+    <td>${entries}</td>
+  `;
+  return tr;
+}
+
+async function loadDuplicates() {
+  const data = await api('/api/duplicates');
+  duplicatesScanRunning = data.inProgress;
+  duplicatesBody.innerHTML = '';
+
+  if (data.inProgress) {
+    duplicatesSummary.textContent = 'Verificação em execução...';
+    return;
+  }
+  if (!data.fetchedAt) {
+    duplicatesSummary.textContent = 'Nenhuma verificação executada ainda.';
+    return;
+  }
+
+  duplicatesSummary.textContent =
+    `Verificado em ${data.fetchedAt}: ${data.shopify.length} SKU(s) duplicados no Shopify, ${data.tiny.length} na Tiny.`;
+  for (const group of data.shopify) {
+    duplicatesBody.appendChild(duplicateRow('Shopify', group));
+  }
+  for (const group of data.tiny) {
+    duplicatesBody.appendChild(duplicateRow('Tiny', group));
+  }
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  if (ms < 1000) return `${ms}ms`;
+  return `${Math.round(ms / 1000)}s`;
+}
+
+async function showRunItems(run) {
+  const data = await api(`/api/runs/${run.id}?limit=500`);
+  const lines = data.items
+    .map((item) => {
+      const location = item.shopify_location_id ? ` → ${item.shopify_location_id}` : '';
+      const quantity = item.quantity === null ? '' : ` qtd=${item.quantity}`;
+      return `[${item.status}] ${item.sku || '-'} ${item.tiny_deposito_nome || ''}${location}${quantity} ${item.message || ''}`;
+    })
+    .join('\n');
+
+  runItemsPre.hidden = false;
+  runItemsPre.textContent = `Execução #${run.id} (${run.type})\n${lines || 'Sem itens registrados.'}`;
+}
+
+function runRow(run) {
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td>${run.id}</td>
+    <td>${run.type}</td>
+    <td>${run.trigger || ''}</td>
+    <td>${run.status}</td>
+    <td>${run.started_at}</td>
+    <td>${formatDuration(run.duration_ms)}</td>
+    <td>${run.updated}</td>
+    <td>${run.unchanged}</td>
+    <td>${run.conflicts}</td>
+    <td>${run.ambiguous}</td>
+    <td>${run.skipped}</td>
+    <td>${run.not_found}</td>
+    <td>${run.errors}</td>
+    <td><button type="button">Itens</button></td>
+  `;
+
+  tr.querySelector('button').addEventListener('click', () => showRunItems(run));
+  return tr;
+}
+
+async function loadRuns() {
+  const type = encodeURIComponent(runsTypeFilter.value);
+  const data = await api(`/api/runs?limit=30&type=${type}`);
+  runsBody.innerHTML = '';
+  for (const run of data.runs) {
+    runsBody.appendChild(runRow(run));
+  }
+}
+
+function jobRow(job) {
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td>${job.id}</td>
+    <td>${job.type}</td>
+    <td>${job.status}</td>
+    <td>${job.attempts}/${job.max_attempts}</td>
+    <td>${job.last_error || ''}</td>
+    <td></td>
+  `;
+
+  if (job.status === 'dead' || job.status === 'done') {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = 'Reprocessar';
+    btn.addEventListener('click', async () => {
+      await api(`/api/jobs/${job.id}/retry`, { method: 'POST', body: '{}' });
+      await loadJobs();
+      await loadLogs();
+    });
+    tr.lastElementChild.appendChild(btn);
+  }
+
+  return tr;
+}
+
+async function loadJobs() {
+  const status = encodeURIComponent(jobsStatusFilter.value);
+  const data = await api(`/api/jobs?limit=50&status=${status}`);
+  jobsBody.innerHTML = '';
+  for (const job of data.jobs) {
+    jobsBody.appendChild(jobRow(job));
+  }
+}
+
+function describeWebhookOutcome(entry) {
+  if (!entry.job_status) return '-';
+  const reason = entry.result?.reason || entry.result?.result?.reason || entry.last_error || '';
+  return reason ? `${entry.job_status}: ${reason}` : entry.job_status;
+}
+
+async function showWebhookInboxEntry(id) {
+  const entry = await api(`/api/webhooks/inbox/${id}`);
+  let body = entry.body;
+  try {
+    body = JSON.stringify(JSON.parse(entry.body), null, 2);
+  } catch {
+    // Not JSON: shown as received.
+  }
+
+  webhookInboxDetail.hidden = false;
+  webhookInboxDetail.textContent = [
+    `Webhook #${entry.id} (${entry.type}) recebido em ${entry.received_at} de ${entry.ip || '-'}`,
+    `${entry.url || ''}`,
+    `Headers: ${JSON.stringify(entry.headers, null, 2)}`,
+    `Body (${entry.body_size ?? '-'} bytes):\n${body || (entry.body_size ? '(não guardado)' : '(vazio)')}`,
+    `Resultado: ${JSON.stringify(entry.result ?? entry.last_error ?? null, null, 2)}`
+  ].join('\n');
+}
+
+function webhookInboxRow(entry) {
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td>${entry.id}</td>
+    <td>${entry.received_at}</td>
+    <td>${entry.type}</td>
+    <td>${entry.reason ? `${entry.status}: ${entry.reason}` : entry.status}</td>
+    <td>${describeWebhookOutcome(entry)}</td>
+    <td>${entry.replays ? `${entry.replays}x (${entry.replayed_at})` : '-'}</td>
+    <td>
+      <button class="view" type="button">Ver</button>
+      <button class="replay admin-only" type="button">Reprocessar</button>
+    </td>
+  `;
+
+  tr.querySelector('.view').addEventListener('click', () => showWebhookInboxEntry(entry.id));
+  // Rejected and repeated deliveries are kept without a body: there is nothing to replay.
+  tr.querySelector('.replay').disabled = entry.status === 'rejected' || entry.status === 'duplicate';
+  tr.querySelector('.replay').addEventListener('click', async () => {
+    try {
+      await api(`/api/webhooks/inbox/${entry.id}/replay`, { method: 'POST', body: '{}' });
+    } catch (error) {
+      alert(error.message);
+    }
+    await loadWebhookInbox();
+    await loadJobs();
+  });
+  return tr;
+}
+
+async function loadWebhookInbox() {
+  const params = new URLSearchParams({
+    limit: '50',
+    type: document.getElementById('webhook-inbox-type').value,
+    status: document.getElementById('webhook-inbox-status').value,
+    q: document.getElementById('webhook-inbox-search').value.trim()
+  });
+  const data = await api(`/api/webhooks/inbox?${params.toString()}`);
+  webhookInboxBody.innerHTML = '';
+  for (const entry of data.entries) {
+    webhookInboxBody.appendChild(webhookInboxRow(entry));
+  }
+}
+
+async function loadOrderMovements() {
+  const order = encodeURIComponent(document.getElementById('order-movements-filter').value.trim());
+  const data = await api(`/api/shopify/orders/movements?limit=50&order=${order}`);
+  const body = document.getElementById('order-movements-body');
+  body.innerHTML = '';
+
+  for (const movement of data.movements) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td>${movement.order_name || movement.order_id}</td>
+      <td>${movement.kind === 'sale' ? 'Saída (venda)' : 'Entrada (cancelamento)'}</td>
+      <td>${movement.sku || '-'}</td>
+      <td>${movement.quantity}</td>
+      <td>${movement.tiny_deposito_nome || movement.tiny_deposito_id || '-'}</td>
+      <td>${movement.reason ? `${movement.status}: ${movement.reason}` : movement.status}</td>
+      <td>${movement.updated_at}</td>
+      <td>
+        ${movement.status === 'pending'
+          ? `<button class="resolve admin-only" data-status="posted" type="button">Está na Tiny</button>
+             <button class="resolve admin-only" data-status="error" type="button">Não está na Tiny</button>`
+          : ''}
+      </td>
+    `;
+
+    for (const button of tr.querySelectorAll('.resolve')) {
+      button.addEventListener('click', async () => {
+        try {
+          await api(`/api/shopify/orders/movements/${movement.id}/resolve`, {
+            method: 'POST',
+            body: JSON.stringify({ status: button.dataset.status })
+          });
+        } catch (error) {
+          alert(error.message);
+        }
+        await loadOrderMovements();
+      });
+    }
+    body.appendChild(tr);
+  }
 }
 
 async function loadLogs() {
@@ -98,26 +868,127 @@ async function loadLogs() {
 configForm.addEventListener('submit', async (event) => {
   event.preventDefault();
   const payload = Object.fromEntries(new FormData(configForm).entries());
-  await api('/api/config', {
-    method: 'POST',
-    body: JSON.stringify(payload)
-  });
+  try {
+    await api('/api/config', {
+      method: 'POST',
+      body: JSON.stringify(payload)
+    });
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  await loadConfig();
   await loadOauthStatus();
   await loadLogs();
   alert('Configuração salva.');
 });
 
-document.getElementById('run-full-sync').addEventListener('click', async () => {
-  const result = await api('/api/sync/full', { method: 'POST', body: '{}' });
+document.getElementById('run-full-sync').addEventListener('click', () => {
+  const force = document.getElementById('full-sync-force').checked ? '1' : '0';
+  startFullSyncRequest(`/api/sync/full?force=${force}`);
+});
+
+document.getElementById('run-full-sync-preview').addEventListener('click', () =>
+  startFullSyncRequest('/api/sync/full?dryRun=1')
+);
+
+resumeFullSyncButton.addEventListener('click', () => startFullSyncRequest('/api/sync/full/resume'));
+
+function scopedSyncPayload() {
+  const payload = Object.fromEntries(new FormData(scopedSyncForm).entries());
+  if (!payload.mappingId && !payload.skus.trim() && !payload.pesquisa.trim() && !payload.namePrefix.trim()) {
+    alert('Informe um mapeamento, SKUs ou um filtro para o full sync parcial.');
+    return null;
+  }
+  return payload;
+}
+
+document.getElementById('scoped-sync-csv').addEventListener('change', async (event) => {
+  const [file] = event.target.files;
+  if (!file) return;
+  document.getElementById('scoped-sync-skus').value = await file.text();
+});
+
+scopedSyncForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const payload = scopedSyncPayload();
+  if (!payload) return;
+  const force = document.getElementById('full-sync-force').checked ? '1' : '0';
+  startFullSyncRequest(`/api/sync/full?force=${force}`, payload);
+});
+
+document.getElementById('scoped-sync-preview').addEventListener('click', () => {
+  const payload = scopedSyncPayload();
+  if (payload) startFullSyncRequest('/api/sync/full?dryRun=1', payload);
+});
+
+document.getElementById('refresh-preview').addEventListener('click', loadPreview);
+previewOnlyChanged.addEventListener('change', loadPreview);
+
+document.getElementById('apply-preview').addEventListener('click', async () => {
+  if (!confirm('Aplicar no Shopify as quantidades da última pré-visualização?')) return;
+  try {
+    const result = await api('/api/sync/preview/apply', { method: 'POST', body: '{}' });
+    alert(`Pré-visualização aplicada. Atualizados: ${result.updated || 0}, conflitos: ${result.conflicts || 0}, ` +
+      `erros: ${result.errors || 0}`);
+  } catch (error) {
+    alert(error.message);
+  }
+  await loadPreview();
+  await loadLogs();
+});
+
+document.getElementById('run-reconciliation').addEventListener('click', async () => {
+  try {
+    await api('/api/reconciliation', { method: 'POST', body: '{}' });
+    reconciliationRunning = true;
+  } catch (error) {
+    alert(error.message);
+  }
+  await loadReconciliation();
+});
+
+document.getElementById('download-reconciliation').addEventListener('click', () => {
+  const status = encodeURIComponent(reconciliationStatusFilter.value);
+  window.location.href = `/api/reconciliation/csv?status=${status}`;
+});
+
+reconciliationStatusFilter.addEventListener('change', loadReconciliation);
+
+document.getElementById('reconciliation-select-all').addEventListener('change', (event) => {
+  for (const checkbox of reconciliationBody.querySelectorAll('input[type="checkbox"]:not(:disabled)')) {
+    checkbox.checked = event.target.checked;
+  }
+});
+
+document.getElementById('fix-reconciliation').addEventListener('click', async () => {
+  const ids = [...reconciliationBody.querySelectorAll('input[type="checkbox"]:checked')].map((box) => Number(box.value));
+  if (!ids.length) {
+    alert('Selecione as divergências a corrigir.');
+    return;
+  }
+  if (!confirm(`Enviar ao Shopify a quantidade da Tiny de ${ids.length} linha(s)?`)) return;
+
+  try {
+    const result = await api('/api/reconciliation/fix', { method: 'POST', body: JSON.stringify({ ids }) });
+    alert(`Correção aplicada. Atualizados: ${result.updated || 0}, conflitos: ${result.conflicts || 0}, ` +
+      `erros: ${result.errors || 0}, ignorados: ${result.skipped || 0}`);
+  } catch (error) {
+    alert(error.message);
+  }
+  await loadReconciliation();
   await loadLogs();
-  alert(`Sync finalizado. Atualizados: ${result.updated || 0}`);
 });
 
 mappingForm.addEventListener('submit', async (event) => {
   event.preventDefault();
 
   const tinyDepositoNome = String(document.getElementById('tiny-deposito-manual-nome')?.value || '').trim();
-  const shopifyLocationId = String(document.getElementById('shopify-location-manual-id')?.value || '').trim();
+  const useManualLocation = !shopifyLocations.length || locationSelect.value === MANUAL_LOCATION;
+  const shopifyLocationId = String(useManualLocation ? locationManualInput.value : locationSelect.value).trim();
+  const location = shopifyLocations.find((entry) => entry.id === shopifyLocationId);
+  const allocation = document.getElementById('mapping-allocation').value;
+  const targetShare = document.getElementById('mapping-target-share').value;
 
   if (!tinyDepositoNome) {
     alert('Preencha o nome exato do depósito Tiny.');
@@ -125,18 +996,39 @@ mappingForm.addEventListener('submit', async (event) => {
   }
 
   if (!shopifyLocationId) {
-    alert('Preencha o ID da location Shopify.');
+    alert('Selecione a location Shopify ou preencha o ID.');
+    return;
+  }
+
+  const payload = {
+    tiny_deposito_nome: tinyDepositoNome,
+    shopify_location_id: shopifyLocationId,
+    shopify_location_name: location?.name || shopifyLocationId,
+    stock_buffer: document.getElementById('mapping-stock-buffer').value,
+    stock_max: document.getElementById('mapping-stock-max').value,
+    extra_deposits: document.getElementById('mapping-extra-deposits').value,
+    aggregation: document.getElementById('mapping-aggregation').value,
+    extra_targets: document.getElementById('mapping-extra-targets').value,
+    allocation,
+    target_percentage: allocation === 'percentage' ? targetShare : '',
+    target_max: allocation === 'priority' ? targetShare : ''
+  };
+
+  if (editingMappingId) {
+    const { mapping } = await api(`/api/mappings/${editingMappingId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(payload)
+    });
+    setEditingMapping(null);
+    await loadMappings();
+    await loadLogs();
+    if (mapping.active) await resyncMapping(mapping);
     return;
   }
 
   await api('/api/mappings', {
     method: 'POST',
-    body: JSON.stringify({
-      tiny_deposito_nome: tinyDepositoNome,
-      shopify_location_id: shopifyLocationId,
-      shopify_location_name: shopifyLocationId,
-      active: true
-    })
+    body: JSON.stringify({ ...payload, active: true })
   });
 
   await loadMappings();
@@ -144,7 +1036,64 @@ mappingForm.addEventListener('submit', async (event) => {
   alert('Mapeamento salvo.');
 });
 
+document.getElementById('mapping-cancel-edit').addEventListener('click', () => {
+  setEditingMapping(null);
+  mappingForm.reset();
+});
+
+skuRuleForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const payload = Object.fromEntries(new FormData(skuRuleForm).entries());
+  await api('/api/sku-rules', {
+    method: 'POST',
+    body: JSON.stringify(payload)
+  });
+  skuRuleForm.reset();
+  await loadSkuRules();
+});
+
+locationSelect.addEventListener('change', syncLocationInputs);
+document.getElementById('refresh-lookups').addEventListener('click', () => loadLookups(true));
+
 document.getElementById('refresh-logs').addEventListener('click', loadLogs);
+document.getElementById('run-sku-cache-warmup').addEventListener('click', async () => {
+  try {
+    const result = await api('/api/sku-cache/warmup', { method: 'POST', body: '{}' });
+    alert(`Carga do cache de SKUs iniciada (execução #${result.runId}).`);
+  } catch (error) {
+    alert(error.message);
+  }
+  await loadRuns();
+});
+
+document.getElementById('clear-sku-cache').addEventListener('click', async () => {
+  if (!confirm('Remover todas as entradas do cache de SKUs?')) return;
+  await api('/api/sku-cache', { method: 'DELETE' });
+  await loadSkuCache();
+  await loadLogs();
+});
+
+skuCacheSearch.addEventListener('change', loadSkuCache);
+
+document.getElementById('scan-duplicates').addEventListener('click', async () => {
+  try {
+    await api('/api/duplicates/scan', { method: 'POST', body: '{}' });
+  } catch (error) {
+    alert(error.message);
+  }
+  await loadDuplicates();
+});
+
+document.getElementById('refresh-runs').addEventListener('click', loadRuns);
+runsTypeFilter.addEventListener('change', loadRuns);
+document.getElementById('refresh-jobs').addEventListener('click', loadJobs);
+jobsStatusFilter.addEventListener('change', loadJobs);
+document.getElementById('refresh-webhook-inbox').addEventListener('click', loadWebhookInbox);
+document.getElementById('webhook-inbox-type').addEventListener('change', loadWebhookInbox);
+document.getElementById('webhook-inbox-status').addEventListener('change', loadWebhookInbox);
+document.getElementById('webhook-inbox-search').addEventListener('change', loadWebhookInbox);
+document.getElementById('refresh-order-movements').addEventListener('click', loadOrderMovements);
+document.getElementById('order-movements-filter').addEventListener('change', loadOrderMovements);
 
 oauthButton.addEventListener('click', async () => {
   const payload = Object.fromEntries(new FormData(configForm).entries());
@@ -163,12 +1112,29 @@ oauthButton.addEventListener('click', async () => {
   window.location.href = data.url;
 });
 
+tinyOauthButton.addEventListener('click', async () => {
+  const payload = Object.fromEntries(new FormData(configForm).entries());
+  await api('/api/config', {
+    method: 'POST',
+    body: JSON.stringify(payload)
+  });
+
+  try {
+    const data = await api('/api/tiny/oauth/start');
+    window.location.href = data.url;
+  } catch (error) {
+    alert(error.message);
+  }
+});
+
 function parseOauthResultFromUrl() {
   const params = new URLSearchParams(window.location.search);
-  const status = params.get('shopify_oauth');
-  if (!status) return null;
+  const provider = ['shopify', 'tiny'].find((name) => params.has(`${name}_oauth`));
+  if (!provider) return null;
+  const status = params.get(`${provider}_oauth`);
 
   return {
+    provider,
     ok: status === 'ok',
     message: params.get('message') || '',
     store: params.get('store') || ''
@@ -186,24 +1152,89 @@ document.getElementById('test-webhook-form').addEventListener('submit', async (e
   alert('Teste de SKU processado.');
 });
 
+document.getElementById('login-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const payload = Object.fromEntries(new FormData(event.target).entries());
+  const path = event.target.dataset.setup ? '/api/auth/setup' : '/api/auth/login';
+  try {
+    await api(path, { method: 'POST', body: JSON.stringify(payload) });
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  window.location.reload();
+});
+
+document.getElementById('logout').addEventListener('click', async () => {
+  await api('/api/auth/logout', { method: 'POST', body: '{}' });
+  window.location.reload();
+});
+
+document.getElementById('user-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const payload = Object.fromEntries(new FormData(event.target).entries());
+  try {
+    await api('/api/users', { method: 'POST', body: JSON.stringify(payload) });
+    event.target.reset();
+  } catch (error) {
+    alert(error.message);
+  }
+  await loadUsers();
+});
+
+function startPolling() {
+  setInterval(loadLogs, 10000);
+  setInterval(() => {
+    loadFullSyncStatus().catch(() => {});
+    if (reconciliationRunning) loadReconciliation().catch(() => {});
+    if (duplicatesScanRunning) loadDuplicates().catch(() => {});
+  }, 3000);
+}
+
 async function boot() {
-  await loadConfig();
-  await loadOauthStatus();
+  if (!(await loadSession())) return;
+
+  // Operators cannot read the configuration or the users.
+  if (currentUser.role === 'admin') {
+    await loadConfig();
+    await loadOauthStatus();
+    await loadTinyOauthStatus();
+    await loadUsers();
+  }
   await loadMappings();
+  await loadSkuRules();
+  // Discovering Tiny deposits can take a while on the first run, so it does not block the page.
+  loadLookups();
+  await loadPreview();
+  await loadReconciliation();
+  await loadSkuCache();
+  await loadDuplicates();
+  await loadFullSyncStatus();
+  await loadRuns();
+  await loadJobs();
+  await loadWebhookInbox();
+  await loadOrderMovements();
   await loadLogs();
 
+  startPolling();
+
   const oauthResult = parseOauthResultFromUrl();
-  if (oauthResult) {
+  if (oauthResult && currentUser.role === 'admin') {
     await loadConfig();
     await loadOauthStatus();
-    if (oauthResult.ok) {
+    await loadTinyOauthStatus();
+    if (oauthResult.provider === 'tiny') {
+      alert(oauthResult.ok
+        ? 'Tiny API v3 conectada com sucesso.'
+        : `Falha no OAuth Tiny: ${oauthResult.message || 'erro desconhecido'}`);
+    } else if (oauthResult.ok) {
       alert(`Shopify conectado com sucesso (${oauthResult.store || 'loja'}).`);
     } else {
       alert(`Falha no OAuth Shopify: ${oauthResult.message || 'erro desconhecido'}`);
     }
 
     const cleanUrl = new URL(window.location.href);
-    cleanUrl.searchParams.delete('shopify_oauth');
+    cleanUrl.searchParams.delete(`${oauthResult.provider}_oauth`);
     cleanUrl.searchParams.delete('message');
     cleanUrl.searchParams.delete('store');
     window.history.replaceState({}, '', cleanUrl.toString());
@@ -213,5 +1244,3 @@ async function boot() {
 boot().catch((error) => {
   logsPre.textContent = `Erro ao carregar UI: ${error.message}`;
 });
-
-setInterval(loadLogs, 10000);
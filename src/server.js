@@ -2,36 +2,205 @@ import express from 'express';
 import cors from 'cors';
 import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
 
+import {
+  generateSessionToken,
+  hashPassword,
+  hashSessionToken,
+  MIN_PASSWORD_LENGTH,
+  USER_ROLES,
+  verifyPassword
+} from './lib/auth.js';
 import { env } from './lib/env.js';
+import { hasEncryptionKey, isSecretConfigKey, SECRET_CONFIG_KEYS, SECRET_MASK } from './lib/secrets.js';
+import {
+  hashWebhookBody,
+  isIpAllowed,
+  parseIpAllowlist,
+  safeEqual,
+  verifyWebhookSignature,
+  WEBHOOK_AUTH_MODES
+} from './lib/webhooks.js';
 import {
   addLog,
+  clearSkuCache,
+  countSkuCache,
+  countTinyProducts,
+  countUsers,
+  createSession,
+  createUser,
+  deleteConfigValue,
   deleteMapping,
+  deleteSession,
+  deleteSkuCache,
+  deleteSkuStockRule,
+  deleteUser,
+  deleteUserSessions,
+  deleteWebhookReceipt,
+  encryptStoredSecrets,
   getConfigObject,
   getConfigValue,
+  getJob,
+  getLookupCache,
+  getMapping,
+  getMappingByDeposito,
+  getLatestSyncPreview,
+  getSessionUser,
+  getShopifyOrderMovementById,
+  getSyncRun,
+  getUser,
+  getUserCredentials,
+  getWebhookInboxEntry,
+  listJobs,
   listLogs,
   listMappings,
+  listReconciliationItems,
+  listSkuCache,
+  listSkuStockRules,
+  listSyncRunItems,
+  listSyncRuns,
+  listShopifyOrderMovements,
+  listUsers,
+  listWebhookInbox,
+  markInterruptedSyncRuns,
+  markWebhookInboxReplayed,
+  recordWebhookReceipt,
+  resolveShopifyOrderMovement,
+  retryJob,
+  saveWebhookInboxEntry,
   setConfigValue,
-  upsertMapping
+  updateMapping,
+  updateUser,
+  upsertMapping,
+  upsertSkuStockRule
 } from './lib/db.js';
+import { getDuplicateSkuReport, startDuplicateSkuScan } from './services/duplicates.js';
+import { getShopifyLocations, getTinyDeposits } from './services/lookups.js';
+import { enqueue, getJobWorkerStatus, startJobWorker, wakeJobWorker } from './services/queue.js';
 import { getSchedulerStatus, restartScheduler, startScheduler } from './services/scheduler.js';
 import {
-  runFullSync,
+  applyLatestSyncPreview,
+  fixReconciliationItems,
+  getFullSyncStatus,
+  getReconciliationStatus,
+  resumeFullSync,
   runSkuSync,
-  syncFromSalesWebhook,
-  syncFromStockWebhook
+  startFullSync,
+  startReconciliation
 } from './services/sync.js';
+import {
+  buildTinyAuthorizeUrl,
+  exchangeTinyAuthorizationCode,
+  getTinyApiVersion,
+  getTinyOauthStatus
+} from './services/tiny.js';
+import { startSkuCacheWarmup } from './services/warmup.js';
 
 const app = express();
 const APP_BUILD = 'simplified-deposit-name-flow-2026-02-17';
 const OAUTH_STATE_TTL_MS = 60 * 60 * 1000;
 const DEFAULT_SHOPIFY_SCOPES = 'read_products,read_locations,read_inventory,write_inventory';
+const SHOPIFY_ORDER_SCOPES = ['read_orders', 'read_merchant_managed_fulfillment_orders'];
+const DEFAULT_WEBHOOK_SIGNATURE_TOLERANCE_SECONDS = 300;
+const DEFAULT_WEBHOOK_DEDUP_MINUTES = 10;
+const DEFAULT_SHOPIFY_WEBHOOK_DEDUP_MINUTES = 48 * 60;
+const DEFAULT_WEBHOOK_INBOX_RETENTION_DAYS = 30;
+const SESSION_COOKIE = 'sid';
+// Reachable without a session: logging in, and creating the first admin on a fresh install.
+const PUBLIC_API_PATHS = ['/auth/login', '/auth/logout', '/auth/me', '/auth/setup'];
+// Operators may read everything else; these reads expose credentials or start an authorization.
+const ADMIN_API_READS = ['/config', '/users', '/shopify/oauth/start', '/tiny/oauth/start'];
+
+// The raw body is kept for webhook signatures and deduplication.
+function keepRawBody(req, res, buffer) {
+  req.rawBody = buffer;
+}
 
+if (env.trustProxy) {
+  app.set('trust proxy', env.trustProxy);
+}
 app.use(cors());
-app.use(express.json({ limit: '2mb' }));
-app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ limit: '2mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 app.use(express.static('src/public'));
+app.use('/api', authenticateApiRequest);
+app.use(['/auth/shopify/start', '/auth/tiny/start'], requireAdminPage);
 
-function parseWebhookPayload(body) {
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return '';
+}
+
+function getRequestUser(req) {
+  const token = readCookie(req, SESSION_COOKIE);
+  return token ? getSessionUser(hashSessionToken(token)) : null;
+}
+
+function getSessionTtlHours() {
+  return env.auth.sessionTtlHours > 0 ? env.auth.sessionTtlHours : 12;
+}
+
+function startSession(req, res, user) {
+  const token = generateSessionToken();
+  const ttlHours = getSessionTtlHours();
+  createSession({ tokenHash: hashSessionToken(token), userId: user.id, ttlHours });
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: getRequestBaseUrl(req).startsWith('https://'),
+    maxAge: ttlHours * 60 * 60 * 1000,
+    path: '/'
+  });
+}
+
+function describeUser(user) {
+  return { id: user.id, username: user.username, role: user.role };
+}
+
+function sendLoginRequired(res) {
+  return res.status(401).json({ ok: false, error: 'Login necessário', setupRequired: countUsers() === 0 });
+}
+
+async function createUserAccount({ username, password, role }) {
+  return createUser({ username, passwordHash: await hashPassword(password), role });
+}
+
+function authenticateApiRequest(req, res, next) {
+  if (PUBLIC_API_PATHS.includes(req.path)) return next();
+
+  const user = getRequestUser(req);
+  if (!user) {
+    return sendLoginRequired(res);
+  }
+
+  const adminOnly = req.method !== 'GET' || ADMIN_API_READS.includes(req.path);
+  if (adminOnly && user.role !== 'admin') {
+    return res.status(403).json({ ok: false, error: 'Acesso restrito a administradores' });
+  }
+
+  req.user = user;
+  return next();
+}
+
+// OAuth starts are browser navigations, so they answer with the result page instead of JSON.
+function requireAdminPage(req, res, next) {
+  const user = getRequestUser(req);
+  if (user?.role === 'admin') return next();
+
+  const provider = req.baseUrl.split('/')[2];
+  return res.status(user ? 403 : 401).send(
+    renderOauthResultPage({
+      ok: false,
+      message: 'Entre como administrador para conectar',
+      baseUrl: getRequestBaseUrl(req),
+      provider
+    })
+  );
+}
+
+function decodeWebhookBody(body) {
   if (!body) return {};
   if (typeof body === 'string') {
     try {
@@ -60,11 +229,134 @@ function parseWebhookPayload(body) {
   return body;
 }
 
+// The shared secret may come in the body; it is dropped so jobs never store it.
+function parseWebhookPayload(body) {
+  const payload = decodeWebhookBody(body);
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return payload;
+  const { secret, ...rest } = payload;
+  return rest;
+}
+
 function normalizeText(value) {
   if (Array.isArray(value)) return String(value[0] || '').trim();
   return String(value || '').trim();
 }
 
+function isTruthyFlag(value) {
+  return ['1', 'true', 'yes', 'sim'].includes(normalizeText(value).toLowerCase());
+}
+
+// Empty means "not set"; anything else must be a non-negative integer (undefined if invalid).
+function parseRuleQuantity(value) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (!text) return null;
+  const number = Number(text);
+  return Number.isInteger(number) && number >= 0 ? number : undefined;
+}
+
+function unquoteCell(cell) {
+  return String(cell ?? '').trim().replace(/^"(.*)"$/, '$1').trim();
+}
+
+// SKUs arrive as an array, a pasted list (commas, semicolons, spaces or line breaks)
+// or the text of a CSV file whose header has a "sku" column.
+function parseSkuList(value) {
+  if (Array.isArray(value)) {
+    return [...new Set(value.map(unquoteCell).filter(Boolean))];
+  }
+
+  const lines = String(value || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  const header = (lines[0] || '').split(/[;,\t]/).map((cell) => unquoteCell(cell).toLowerCase());
+  const skuColumn = header.indexOf('sku');
+  const cells = skuColumn >= 0
+    ? lines.slice(1).map((line) => line.split(/[;,\t]/)[skuColumn])
+    : lines.flatMap((line) => line.split(/[\s,;]+/));
+
+  return [...new Set(cells.map(unquoteCell).filter(Boolean))];
+}
+
+const MAPPING_AGGREGATIONS = ['sum', 'sum_minus_reserved'];
+
+// With Tiny v3 the cached deposit list carries real IDs, which then key the mapping.
+// v2 deposits are keyed by the lowercased name.
+function resolveTinyDepositId(nome) {
+  const cached = getTinyApiVersion() === 'v3' ? getLookupCache('tiny_deposits') : null;
+  const deposit = cached?.items.find(
+    (entry) => entry.id && normalizeText(entry.nome).toLowerCase() === nome.toLowerCase()
+  );
+  return deposit ? String(deposit.id) : nome.toLowerCase();
+}
+
+// Extra deposits of a mapping group arrive as an array or a comma-separated list of names.
+function parseExtraDeposits(value, primaryId) {
+  const names = Array.isArray(value) ? value : String(value || '').split(',');
+  const deposits = new Map();
+  for (const raw of names) {
+    const nome = normalizeText(raw && typeof raw === 'object' ? raw.tiny_deposito_nome : raw);
+    const id = resolveTinyDepositId(nome);
+    if (!nome || id === primaryId) continue;
+    deposits.set(id, { tiny_deposito_id: id, tiny_deposito_nome: nome });
+  }
+  return [...deposits.values()];
+}
+
+const MAPPING_ALLOCATIONS = ['copy', 'percentage', 'priority'];
+
+function cachedLocationName(locationId) {
+  const cached = getLookupCache('shopify_locations');
+  return cached?.items.find((location) => location.id === locationId)?.name || '';
+}
+
+// Text entries are "locationId:valor", where valor is the percentage or the
+// priority-fill capacity depending on the allocation strategy.
+function parseTargetEntry(entry, allocation) {
+  if (entry && typeof entry === 'object') return entry;
+
+  const [locationId, amount] = String(entry).split(':');
+  return {
+    shopify_location_id: locationId,
+    percentage: allocation === 'percentage' ? amount : null,
+    max_quantity: allocation === 'priority' ? amount : null
+  };
+}
+
+function parseExtraTargets(value, allocation, primaryLocationId) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  const targets = new Map();
+  for (const entry of entries) {
+    const target = parseTargetEntry(entry, allocation);
+    const locationId = normalizeText(target.shopify_location_id);
+    if (!locationId || locationId === primaryLocationId) continue;
+
+    targets.set(locationId, {
+      shopify_location_id: locationId,
+      shopify_location_name: normalizeText(target.shopify_location_name) || cachedLocationName(locationId) || locationId,
+      percentage: parseRuleQuantity(target.percentage),
+      max_quantity: parseRuleQuantity(target.max_quantity)
+    });
+  }
+  return [...targets.values()];
+}
+
+function validateAllocation(allocation, targets) {
+  if (!MAPPING_ALLOCATIONS.includes(allocation)) {
+    return `allocation deve ser ${MAPPING_ALLOCATIONS.join(', ')}`;
+  }
+
+  if (targets.some((target) => target.percentage === undefined || target.max_quantity === undefined)) {
+    return 'Percentual e máximo das locations devem ser inteiros maiores ou iguais a zero';
+  }
+
+  if (allocation === 'percentage') {
+    const total = targets.reduce((sum, target) => sum + (target.percentage ?? 100), 0);
+    if (total > 100) {
+      return `A soma dos percentuais das locations não pode passar de 100 (atual: ${total})`;
+    }
+  }
+
+  return null;
+}
+
 function normalizeShopDomain(rawShop) {
   const trimmed = normalizeText(rawShop)
     .replace(/^https?:\/\//i, '')
@@ -84,13 +376,13 @@ function getRequestBaseUrl(req) {
   return `${proto}://${host}`;
 }
 
-function buildDefaultCallbackUrl(baseUrl = env.baseUrl) {
-  return `${baseUrl}/auth/shopify/callback`;
+function buildDefaultCallbackUrl(baseUrl = env.baseUrl, provider = 'shopify') {
+  return `${baseUrl}/auth/${provider}/callback`;
 }
 
-function resolveOauthRedirectUri(baseUrl = env.baseUrl) {
-  const configured = normalizeText(getConfigValue('shopify_redirect_uri', env.shopify.redirectUri));
-  const fallback = buildDefaultCallbackUrl(baseUrl);
+function resolveOauthRedirectUri(baseUrl = env.baseUrl, provider = 'shopify') {
+  const configured = normalizeText(getConfigValue(`${provider}_redirect_uri`, env[provider].redirectUri));
+  const fallback = buildDefaultCallbackUrl(baseUrl, provider);
   if (!configured) return fallback;
 
   try {
@@ -117,6 +409,17 @@ function getOauthConfig(baseUrl = env.baseUrl) {
   return { clientId, clientSecret, scopes, redirectUri };
 }
 
+function isShopifyOrdersToTinyEnabled() {
+  return getConfigValue('shopify_orders_to_tiny', '0') === '1';
+}
+
+// Orders -> Tiny needs to read orders; the scopes are only requested while it is on.
+function withOrderScopes(scopes) {
+  if (!isShopifyOrdersToTinyEnabled()) return scopes;
+  const list = scopes.split(',').map((scope) => scope.trim()).filter(Boolean);
+  return [...new Set([...list, ...SHOPIFY_ORDER_SCOPES])].join(',');
+}
+
 function toBase64Url(text) {
   return Buffer.from(text, 'utf8').toString('base64url');
 }
@@ -199,6 +502,17 @@ function validateShopifyHmac(query, clientSecret) {
   return timingSafeEqual(left, right);
 }
 
+// Webhooks are signed over the raw body, base64 encoded, unlike the OAuth query string.
+function validateShopifyWebhookHmac(rawBody, incomingHmac, secret) {
+  if (!incomingHmac || !secret || !rawBody) return false;
+
+  const digest = createHmac('sha256', secret).update(rawBody).digest('base64');
+  const left = Buffer.from(digest, 'utf8');
+  const right = Buffer.from(String(incomingHmac), 'utf8');
+  if (left.length !== right.length) return false;
+  return timingSafeEqual(left, right);
+}
+
 function buildAuthorizeUrl(store, baseUrl = env.baseUrl) {
   const { clientId, clientSecret, scopes, redirectUri } = getOauthConfig(baseUrl);
   if (!store) {
@@ -215,7 +529,7 @@ function buildAuthorizeUrl(store, baseUrl = env.baseUrl) {
 
   const params = new URLSearchParams({
     client_id: clientId,
-    scope: scopes || DEFAULT_SHOPIFY_SCOPES,
+    scope: withOrderScopes(scopes || DEFAULT_SHOPIFY_SCOPES),
     redirect_uri: redirectUri,
     state
   });
@@ -223,17 +537,69 @@ function buildAuthorizeUrl(store, baseUrl = env.baseUrl) {
   return `https://${store}/admin/oauth/authorize?${params.toString()}`;
 }
 
-function renderOauthResultPage({ ok, message, store = '', scope = '', baseUrl = env.baseUrl }) {
+function getTinyOauthClientSecret() {
+  return getConfigValue('tiny_client_secret', env.tiny.clientSecret);
+}
+
+// Tiny's callback carries no signature of its own, so the signed state is what ties it to us.
+function buildTinyOauthState() {
+  const encodedPayload = toBase64Url(
+    JSON.stringify({ v: 1, ts: Date.now(), nonce: randomBytes(12).toString('hex'), provider: 'tiny' })
+  );
+  const signature = createHmac('sha256', getTinyOauthClientSecret()).update(encodedPayload).digest('hex');
+  return `${encodedPayload}.${signature}`;
+}
+
+function validateTinyOauthState(state) {
+  if (!state || typeof state !== 'string' || !state.includes('.')) {
+    return { ok: false, reason: 'state_missing' };
+  }
+
+  const [encodedPayload, providedSignature] = state.split('.', 2);
+  const expectedSignature = createHmac('sha256', getTinyOauthClientSecret())
+    .update(encodedPayload)
+    .digest('hex');
+
+  const left = Buffer.from(expectedSignature, 'utf8');
+  const right = Buffer.from(providedSignature || '', 'utf8');
+  if (left.length !== right.length || !timingSafeEqual(left, right)) {
+    return { ok: false, reason: 'state_signature' };
+  }
+
+  try {
+    const payload = JSON.parse(fromBase64Url(encodedPayload));
+    if (payload.provider !== 'tiny' || !Number(payload.ts)) {
+      return { ok: false, reason: 'state_malformed' };
+    }
+    if (Date.now() - Number(payload.ts) > OAUTH_STATE_TTL_MS) {
+      return { ok: false, reason: 'state_expired' };
+    }
+    return { ok: true };
+  } catch {
+    return { ok: false, reason: 'state_malformed' };
+  }
+}
+
+const OAUTH_PROVIDER_LABELS = { shopify: 'Shopify', tiny: 'Tiny' };
+
+function renderOauthResultPage({
+  ok,
+  message,
+  store = '',
+  scope = '',
+  baseUrl = env.baseUrl,
+  provider = 'shopify'
+}) {
   const safeMessage = String(message || '').replace(/</g, '&lt;');
   const status = ok ? 'ok' : 'error';
-  const redirectUrl = `${baseUrl}/?shopify_oauth=${ok ? 'ok' : 'error'}&message=${encodeURIComponent(
+  const redirectUrl = `${baseUrl}/?${provider}_oauth=${ok ? 'ok' : 'error'}&message=${encodeURIComponent(
     message || ''
   )}&store=${encodeURIComponent(store || '')}`;
   return `<!doctype html>
 <html lang="pt-BR">
   <head>
     <meta charset="utf-8" />
-    <title>Shopify OAuth</title>
+    <title>${OAUTH_PROVIDER_LABELS[provider]} OAuth</title>
     <style>
       body { font-family: Arial, sans-serif; padding: 24px; color: #22313f; }
       .ok { color: #0f766e; }
@@ -247,7 +613,7 @@ function renderOauthResultPage({ ok, message, store = '', scope = '', baseUrl =
       if (window.opener) {
         window.opener.postMessage(
           {
-            type: 'shopify_oauth',
+            type: '${provider}_oauth',
             ok: ${ok ? 'true' : 'false'},
             store: ${JSON.stringify(store)},
             scope: ${JSON.stringify(scope)},
@@ -264,9 +630,44 @@ function renderOauthResultPage({ ok, message, store = '', scope = '', baseUrl =
 </html>`;
 }
 
-function isWebhookAuthorized(req) {
+function getWebhookAuthMode() {
+  const mode = getConfigValue('tiny_webhook_auth_mode', 'secret');
+  return WEBHOOK_AUTH_MODES.includes(mode) ? mode : 'secret';
+}
+
+function getPositiveConfigNumber(key, fallback) {
+  const configured = Number(getConfigValue(key, String(fallback)));
+  return Number.isFinite(configured) && configured > 0 ? configured : fallback;
+}
+
+// Returns null when the request may go on, otherwise the status and reason to reject it.
+function checkWebhookRequest(req) {
+  let allowlist = null;
+  try {
+    allowlist = parseIpAllowlist(getConfigValue('tiny_webhook_allowed_ips', ''));
+  } catch {
+    return { status: 403, reason: 'ip_allowlist_invalid' };
+  }
+  if (!isIpAllowed(allowlist, req.ip)) {
+    return { status: 403, reason: 'ip_not_allowed' };
+  }
+
   const configuredSecret = getConfigValue('tiny_webhook_secret', env.tiny.webhookSecret);
-  if (!configuredSecret) return true;
+  if (!configuredSecret) return null;
+
+  if (getWebhookAuthMode() === 'signature') {
+    const valid = verifyWebhookSignature({
+      secret: configuredSecret,
+      timestamp: req.headers['x-webhook-timestamp'],
+      signature: req.headers['x-webhook-signature'],
+      rawBody: req.rawBody,
+      toleranceSeconds: getPositiveConfigNumber(
+        'tiny_webhook_signature_tolerance_seconds',
+        DEFAULT_WEBHOOK_SIGNATURE_TOLERANCE_SECONDS
+      )
+    });
+    return valid ? null : { status: 401, reason: 'invalid_signature' };
+  }
 
   const incoming =
     req.headers['x-webhook-secret'] ||
@@ -274,7 +675,16 @@ function isWebhookAuthorized(req) {
     req.query.secret ||
     req.body?.secret;
 
-  return String(incoming || '') === String(configuredSecret);
+  return safeEqual(incoming || '', configuredSecret) ? null : { status: 401, reason: 'invalid_secret' };
+}
+
+// Deliveries carrying an ID are deduplicated by it; the others by the hash of the raw body.
+function getWebhookDedupKey(req, type) {
+  const deliveryId = normalizeText(
+    req.headers['x-webhook-id'] || req.headers['x-tiny-webhook-id'] || req.headers['x-shopify-webhook-id']
+  );
+  const body = req.rawBody || JSON.stringify(req.body || {});
+  return `${type}:${deliveryId ? `id:${deliveryId}` : `sha256:${hashWebhookBody(body)}`}`;
 }
 
 function initDefaults() {
@@ -294,6 +704,22 @@ function initDefaults() {
     setConfigValue('tiny_webhook_secret', env.tiny.webhookSecret);
   }
 
+  if (!getConfigValue('tiny_api_version')) {
+    setConfigValue('tiny_api_version', env.tiny.apiVersion);
+  }
+
+  if (env.tiny.clientId && !getConfigValue('tiny_client_id')) {
+    setConfigValue('tiny_client_id', env.tiny.clientId);
+  }
+
+  if (env.tiny.clientSecret && !getConfigValue('tiny_client_secret')) {
+    setConfigValue('tiny_client_secret', env.tiny.clientSecret);
+  }
+
+  if (env.tiny.redirectUri && !getConfigValue('tiny_redirect_uri')) {
+    setConfigValue('tiny_redirect_uri', env.tiny.redirectUri);
+  }
+
   if (env.shopify.store && !getConfigValue('shopify_store')) {
     setConfigValue('shopify_store', env.shopify.store);
   }
@@ -310,6 +736,10 @@ function initDefaults() {
     setConfigValue('shopify_client_secret', env.shopify.clientSecret);
   }
 
+  if (env.shopify.webhookSecret && !getConfigValue('shopify_webhook_secret')) {
+    setConfigValue('shopify_webhook_secret', env.shopify.webhookSecret);
+  }
+
   if (env.shopify.scopes && !getConfigValue('shopify_scopes')) {
     setConfigValue('shopify_scopes', env.shopify.scopes);
   }
@@ -326,20 +756,211 @@ function initDefaults() {
   }
 }
 
+async function ensureInitialAdmin() {
+  const { adminUsername, adminPassword } = env.auth;
+  if (!adminUsername || !adminPassword || countUsers() > 0) return;
+
+  await createUserAccount({ username: adminUsername, password: adminPassword, role: 'admin' });
+  addLog({
+    type: 'auth',
+    status: 'ok',
+    message: `Administrador inicial ${adminUsername} criado a partir do .env`,
+    context: null
+  });
+}
+
+const USERNAME_PATTERN = /^[\w.@-]{3,64}$/;
+const LAST_ADMIN_ERROR = 'Não é possível remover o último administrador';
+
+// Validates a user payload; password and role are optional on updates.
+function parseUserInput(input, { partial = false } = {}) {
+  const username = normalizeText(input.username);
+  const password = input.password === undefined ? '' : String(input.password);
+  const role = normalizeText(input.role);
+
+  if (!partial && !USERNAME_PATTERN.test(username)) {
+    return { error: 'username deve ter de 3 a 64 letras, números ou . _ @ -' };
+  }
+  if ((!partial || password) && password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `password deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres` };
+  }
+  if ((!partial || role) && !USER_ROLES.includes(role)) {
+    return { error: `role deve ser ${USER_ROLES.join(' ou ')}` };
+  }
+
+  return { user: { username, password, role } };
+}
+
+app.post('/api/auth/login', async (req, res) => {
+  const username = normalizeText(req.body?.username);
+  const credentials = username ? getUserCredentials(username) : null;
+  const valid = credentials
+    ? await verifyPassword(String(req.body?.password || ''), credentials.password_hash)
+    : false;
+
+  if (!valid) {
+    addLog({
+      type: 'auth',
+      status: 'warning',
+      message: 'Falha de login',
+      context: { username, ip: req.ip }
+    });
+    return res.status(401).json({ ok: false, error: 'Usuário ou senha inválidos' });
+  }
+
+  startSession(req, res, credentials);
+  addLog({
+    type: 'auth',
+    status: 'ok',
+    message: `Login de ${credentials.username}`,
+    context: { ip: req.ip }
+  });
+  return res.json({ ok: true, user: describeUser(credentials) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const token = readCookie(req, SESSION_COOKIE);
+  if (token) deleteSession(hashSessionToken(token));
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  const user = getRequestUser(req);
+  if (!user) {
+    return sendLoginRequired(res);
+  }
+  return res.json({ ok: true, user: describeUser(user) });
+});
+
+// Only open while there are no users: the first account is always an admin.
+app.post('/api/auth/setup', async (req, res) => {
+  if (countUsers() > 0) {
+    return res.status(409).json({ ok: false, error: 'Já existem usuários cadastrados' });
+  }
+
+  const { user, error } = parseUserInput({ ...req.body, role: 'admin' });
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+
+  const created = getUser(await createUserAccount({ ...user, role: 'admin' }));
+  startSession(req, res, created);
+  addLog({
+    type: 'auth',
+    status: 'ok',
+    message: `Administrador inicial ${created.username} criado`,
+    context: null
+  });
+  return res.json({ ok: true, user: describeUser(created) });
+});
+
+app.get('/api/users', (req, res) => {
+  res.json({ users: listUsers() });
+});
+
+app.post('/api/users', async (req, res) => {
+  const { user, error } = parseUserInput(req.body || {});
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+  if (getUserCredentials(user.username)) {
+    return res.status(409).json({ ok: false, error: `Usuário ${user.username} já existe` });
+  }
+
+  const id = await createUserAccount(user);
+  addLog({
+    type: 'auth',
+    status: 'ok',
+    message: `Usuário ${user.username} criado`,
+    context: { role: user.role, by: req.user.username }
+  });
+  return res.json({ ok: true, user: getUser(id) });
+});
+
+app.patch('/api/users/:id', async (req, res) => {
+  const current = getUser(req.params.id);
+  if (!current) {
+    return res.status(404).json({ ok: false, error: 'Usuário não encontrado' });
+  }
+
+  const { user, error } = parseUserInput(req.body || {}, { partial: true });
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+  if (current.role === 'admin' && user.role === 'operator' && countUsers({ role: 'admin' }) === 1) {
+    return res.status(400).json({ ok: false, error: LAST_ADMIN_ERROR });
+  }
+
+  updateUser(current.id, {
+    role: user.role || null,
+    passwordHash: user.password ? await hashPassword(user.password) : null
+  });
+  // A new password or a lost role must not leave old sessions working.
+  if (user.password || (user.role && user.role !== current.role)) {
+    deleteUserSessions(current.id);
+  }
+
+  addLog({
+    type: 'auth',
+    status: 'ok',
+    message: `Usuário ${current.username} alterado`,
+    context: {
+      role: user.role || current.role,
+      passwordChanged: Boolean(user.password),
+      by: req.user.username
+    }
+  });
+  return res.json({ ok: true, user: getUser(current.id) });
+});
+
+app.delete('/api/users/:id', (req, res) => {
+  const current = getUser(req.params.id);
+  if (!current) {
+    return res.status(404).json({ ok: false, error: 'Usuário não encontrado' });
+  }
+  if (current.id === req.user.id) {
+    return res.status(400).json({ ok: false, error: 'Não é possível remover o próprio usuário' });
+  }
+  if (current.role === 'admin' && countUsers({ role: 'admin' }) === 1) {
+    return res.status(400).json({ ok: false, error: LAST_ADMIN_ERROR });
+  }
+
+  deleteUser(current.id);
+  addLog({
+    type: 'auth',
+    status: 'ok',
+    message: `Usuário ${current.username} removido`,
+    context: { by: req.user.username }
+  });
+  return res.json({ ok: true });
+});
+
+// Secrets are never sent back: they come masked, with a flag telling whether each one is set.
 app.get('/api/config', (req, res) => {
   const cfg = getConfigObject();
-  res.json({
-    ...cfg,
-    tiny_api_token: cfg.tiny_api_token || '',
-    shopify_access_token: cfg.shopify_access_token || ''
-  });
+  const secrets = {};
+  for (const key of SECRET_CONFIG_KEYS) {
+    secrets[key] = Boolean(cfg[key]);
+    cfg[key] = cfg[key] || '';
+  }
+  res.json({ ...cfg, secrets, secretsEncrypted: hasEncryptionKey() });
 });
 
 app.post('/api/config', (req, res) => {
   const allowedKeys = [
     'tiny_api_token',
     'tiny_api_format',
+    'tiny_rate_limit_per_minute',
     'tiny_webhook_secret',
+    'tiny_webhook_auth_mode',
+    'tiny_webhook_allowed_ips',
+    'tiny_webhook_dedup_minutes',
+    'tiny_webhook_signature_tolerance_seconds',
+    'tiny_api_version',
+    'tiny_client_id',
+    'tiny_client_secret',
+    'tiny_redirect_uri',
     'shopify_store',
     'shopify_access_token',
     'shopify_api_version',
@@ -347,13 +968,46 @@ app.post('/api/config', (req, res) => {
     'shopify_client_secret',
     'shopify_scopes',
     'shopify_redirect_uri',
-    'sync_interval_minutes'
+    'shopify_webhook_secret',
+    'shopify_orders_to_tiny',
+    'shopify_webhook_dedup_minutes',
+    'shopify_batch_size',
+    'shopify_write_mode',
+    'shopify_compare_retries',
+    'sync_interval_minutes',
+    'sync_preview_max_age_minutes',
+    'sku_cache_warmup_hour',
+    'sku_cache_ttl_hours',
+    'job_max_attempts'
   ];
 
+  // A broken allowlist or mode would lock every webhook out, so they are checked before saving.
+  const authMode = req.body.tiny_webhook_auth_mode;
+  if (authMode !== undefined && !WEBHOOK_AUTH_MODES.includes(authMode)) {
+    return res.status(400).json({
+      ok: false,
+      error: `tiny_webhook_auth_mode inválido: use ${WEBHOOK_AUTH_MODES.join(' ou ')}`
+    });
+  }
+  try {
+    parseIpAllowlist(req.body.tiny_webhook_allowed_ips);
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+
   for (const key of allowedKeys) {
-    if (req.body[key] !== undefined) {
-      setConfigValue(key, req.body[key]);
+    const value = req.body[key];
+    if (value === undefined) continue;
+
+    // A blank or masked secret keeps the saved value; null clears it.
+    if (isSecretConfigKey(key)) {
+      if (value === null) {
+        deleteConfigValue(key);
+        continue;
+      }
+      if (value === '' || value === SECRET_MASK) continue;
     }
+    setConfigValue(key, value);
   }
 
   restartScheduler();
@@ -364,11 +1018,16 @@ app.post('/api/config', (req, res) => {
     context: { keys: Object.keys(req.body || {}) }
   });
 
-  res.json({ ok: true });
+  return res.json({ ok: true });
 });
 
 app.get('/api/status', (req, res) => {
-  res.json({ scheduler: getSchedulerStatus(), build: APP_BUILD });
+  res.json({
+    scheduler: getSchedulerStatus(),
+    jobs: getJobWorkerStatus(),
+    tinyProducts: countTinyProducts(),
+    build: APP_BUILD
+  });
 });
 
 app.get('/api/build', (req, res) => {
@@ -513,46 +1172,258 @@ app.get('/auth/shopify/callback', async (req, res) => {
   }
 });
 
-app.get('/api/mappings', (req, res) => {
-  res.json({ mappings: listMappings() });
+app.get('/api/tiny/oauth/status', (req, res) => {
+  res.json({
+    ...getTinyOauthStatus(),
+    callbackUrl: resolveOauthRedirectUri(getRequestBaseUrl(req), 'tiny')
+  });
 });
 
-app.post('/api/mappings', (req, res) => {
-  const mapping = { ...(req.body || {}) };
-  const tinyDepositoNome = normalizeText(mapping.tiny_deposito_nome);
-  const tinyDepositoId = tinyDepositoNome.toLowerCase();
-  const shopifyLocationId = normalizeText(mapping.shopify_location_id);
-  const shopifyLocationName = normalizeText(mapping.shopify_location_name) || shopifyLocationId;
+app.get('/api/tiny/oauth/start', (req, res) => {
+  try {
+    const redirectUri = resolveOauthRedirectUri(getRequestBaseUrl(req), 'tiny');
+    const url = buildTinyAuthorizeUrl({ redirectUri, state: buildTinyOauthState() });
+    res.json({ ok: true, url });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
 
-  if (!tinyDepositoNome || !shopifyLocationId) {
-    return res
+app.get('/auth/tiny/start', (req, res) => {
+  const baseUrl = getRequestBaseUrl(req);
+  try {
+    const redirectUri = resolveOauthRedirectUri(baseUrl, 'tiny');
+    res.redirect(buildTinyAuthorizeUrl({ redirectUri, state: buildTinyOauthState() }));
+  } catch (error) {
+    res
       .status(400)
-      .json({ ok: false, error: 'tiny_deposito_nome e shopify_location_id são obrigatórios' });
+      .send(renderOauthResultPage({ ok: false, message: error.message, baseUrl, provider: 'tiny' }));
   }
-
-  upsertMapping({
-    ...mapping,
-    tiny_deposito_id: tinyDepositoId,
-    tiny_deposito_nome: tinyDepositoNome,
-    shopify_location_id: shopifyLocationId,
-    shopify_location_name: shopifyLocationName
-  });
-  addLog({
-    type: 'mapping',
-    status: 'ok',
-    message: 'Mapeamento salvo',
-    context: {
-      tiny_deposito_id: tinyDepositoId,
-      tiny_deposito_nome: tinyDepositoNome,
-      shopify_location_id: shopifyLocationId,
-      shopify_location_name: shopifyLocationName
-    }
-  });
-
-  return res.json({ ok: true });
 });
 
-app.delete('/api/mappings/:tinyDepositoId', (req, res) => {
+app.get('/auth/tiny/callback', async (req, res) => {
+  const baseUrl = getRequestBaseUrl(req);
+  const code = normalizeText(req.query.code);
+
+  if (!code) {
+    const message = normalizeText(req.query.error_description) || 'Callback OAuth incompleto';
+    return res.status(400).send(renderOauthResultPage({ ok: false, message, baseUrl, provider: 'tiny' }));
+  }
+
+  const stateValidation = validateTinyOauthState(normalizeText(req.query.state));
+  if (!stateValidation.ok) {
+    addLog({
+      type: 'tiny_oauth',
+      status: 'error',
+      message: 'State OAuth inválido/ausente',
+      context: { reason: stateValidation.reason }
+    });
+    return res
+      .status(401)
+      .send(renderOauthResultPage({ ok: false, message: 'State OAuth inválido', baseUrl, provider: 'tiny' }));
+  }
+
+  try {
+    await exchangeTinyAuthorizationCode({ code, redirectUri: resolveOauthRedirectUri(baseUrl, 'tiny') });
+    addLog({
+      type: 'tiny_oauth',
+      status: 'ok',
+      message: 'Token Tiny API v3 gerado via OAuth',
+      context: { version: getTinyApiVersion() }
+    });
+
+    return res.send(
+      renderOauthResultPage({ ok: true, message: 'Token Tiny API v3 salvo', baseUrl, provider: 'tiny' })
+    );
+  } catch (error) {
+    addLog({ type: 'tiny_oauth', status: 'error', message: error.message, context: null });
+    return res
+      .status(500)
+      .send(renderOauthResultPage({ ok: false, message: error.message, baseUrl, provider: 'tiny' }));
+  }
+});
+
+app.get('/api/shopify/locations', async (req, res) => {
+  try {
+    const { items, ...meta } = await getShopifyLocations({ refresh: isTruthyFlag(req.query.refresh) });
+    res.json({ ok: true, locations: items, ...meta });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+app.get('/api/tiny/deposits', async (req, res) => {
+  try {
+    const { items, ...meta } = await getTinyDeposits({
+      refresh: isTruthyFlag(req.query.refresh),
+      sampleProducts: Number(req.query.sample) || undefined
+    });
+    res.json({ ok: true, deposits: items, ...meta });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+app.get('/api/mappings', (req, res) => {
+  res.json({ mappings: listMappings() });
+});
+
+// Normalizes and validates a mapping payload; returns { mapping } or { error }.
+function parseMappingInput(input) {
+  const tinyDepositoNome = normalizeText(input.tiny_deposito_nome);
+  const tinyDepositoId = resolveTinyDepositId(tinyDepositoNome);
+  const shopifyLocationId = normalizeText(input.shopify_location_id);
+  const shopifyLocationName = normalizeText(input.shopify_location_name) || shopifyLocationId;
+  const stockBuffer = parseRuleQuantity(input.stock_buffer);
+  const stockMax = parseRuleQuantity(input.stock_max);
+  const aggregation = normalizeText(input.aggregation) || 'sum';
+  const allocation = normalizeText(input.allocation) || 'copy';
+  const primaryTarget = {
+    percentage: parseRuleQuantity(input.target_percentage),
+    max_quantity: parseRuleQuantity(input.target_max)
+  };
+  const extraTargets = parseExtraTargets(input.extra_targets, allocation, shopifyLocationId);
+
+  if (!tinyDepositoNome || !shopifyLocationId) {
+    return { error: 'tiny_deposito_nome e shopify_location_id são obrigatórios' };
+  }
+
+  if (stockBuffer === undefined || stockMax === undefined) {
+    return { error: 'stock_buffer e stock_max devem ser inteiros maiores ou iguais a zero' };
+  }
+
+  if (!MAPPING_AGGREGATIONS.includes(aggregation)) {
+    return { error: `aggregation deve ser ${MAPPING_AGGREGATIONS.join(' ou ')}` };
+  }
+
+  const allocationError = validateAllocation(allocation, [primaryTarget, ...extraTargets]);
+  if (allocationError) {
+    return { error: allocationError };
+  }
+
+  return {
+    mapping: {
+      tiny_deposito_id: tinyDepositoId,
+      tiny_deposito_nome: tinyDepositoNome,
+      shopify_location_id: shopifyLocationId,
+      shopify_location_name: shopifyLocationName,
+      active: input.active === true || input.active === 1 || isTruthyFlag(input.active),
+      stock_buffer: stockBuffer ?? 0,
+      stock_max: stockMax,
+      aggregation,
+      extra_deposits: parseExtraDeposits(input.extra_deposits, tinyDepositoId),
+      allocation,
+      target_percentage: primaryTarget.percentage,
+      target_max: primaryTarget.max_quantity,
+      extra_targets: extraTargets
+    }
+  };
+}
+
+function describeMappingForLog(mapping) {
+  return {
+    tiny_deposito_id: mapping.tiny_deposito_id,
+    tiny_deposito_nome: mapping.tiny_deposito_nome,
+    shopify_location_id: mapping.shopify_location_id,
+    shopify_location_name: mapping.shopify_location_name,
+    active: Boolean(mapping.active),
+    stock_buffer: mapping.stock_buffer,
+    stock_max: mapping.stock_max,
+    aggregation: mapping.aggregation,
+    extra_deposits: mapping.extra_deposits.map((deposit) => deposit.tiny_deposito_nome),
+    allocation: mapping.allocation,
+    extra_targets: mapping.extra_targets.map((target) => target.shopify_location_id)
+  };
+}
+
+// Field-by-field before/after of a mapping, for the audit entry of an edit.
+function diffMappings(before, after) {
+  const previous = describeMappingForLog(before);
+  const next = describeMappingForLog(after);
+  return Object.fromEntries(
+    Object.keys(next)
+      .filter((key) => JSON.stringify(previous[key]) !== JSON.stringify(next[key]))
+      .map((key) => [key, { from: previous[key], to: next[key] }])
+  );
+}
+
+function startMappingResync(mapping, { dryRun = false, force = false } = {}) {
+  return startFullSync({ trigger: 'mapping_resync', mappingId: mapping.id, dryRun, force });
+}
+
+app.post('/api/mappings', (req, res) => {
+  const { mapping, error } = parseMappingInput(req.body || {});
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+
+  upsertMapping(mapping);
+  addLog({
+    type: 'mapping',
+    status: 'ok',
+    message: 'Mapeamento salvo',
+    context: describeMappingForLog(mapping)
+  });
+
+  return res.json({ ok: true });
+});
+
+app.patch('/api/mappings/:id', (req, res) => {
+  const current = getMapping(req.params.id);
+  if (!current) {
+    return res.status(404).json({ ok: false, error: 'Mapeamento não encontrado' });
+  }
+
+  const changes = { ...(req.body || {}) };
+  // A new location without a name takes the real one from the cached list, not the old name.
+  if (changes.shopify_location_id !== undefined && changes.shopify_location_name === undefined) {
+    changes.shopify_location_name = cachedLocationName(normalizeText(changes.shopify_location_id));
+  }
+
+  const { mapping, error } = parseMappingInput({ ...current, ...changes });
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+
+  const existing = getMappingByDeposito(mapping.tiny_deposito_id);
+  if (existing && existing.id !== current.id) {
+    return res
+      .status(409)
+      .json({ ok: false, error: `Já existe mapeamento para o depósito ${mapping.tiny_deposito_nome}` });
+  }
+
+  updateMapping(current.id, mapping);
+  const updated = getMapping(current.id);
+  addLog({
+    type: 'mapping',
+    status: 'ok',
+    message: `Mapeamento #${current.id} alterado`,
+    context: { id: current.id, changes: diffMappings(current, updated) }
+  });
+
+  const resync = isTruthyFlag(changes.resync) && updated.active ? startMappingResync(updated) : null;
+  return res.json({ ok: true, mapping: updated, resync });
+});
+
+app.post('/api/mappings/:id/resync', (req, res) => {
+  const mapping = getMapping(req.params.id);
+  if (!mapping) {
+    return res.status(404).json({ ok: false, error: 'Mapeamento não encontrado' });
+  }
+
+  if (!mapping.active) {
+    return res.status(400).json({ ok: false, error: 'Mapeamento inativo' });
+  }
+
+  const result = startMappingResync(mapping, {
+    dryRun: isTruthyFlag(req.query.dryRun),
+    force: isTruthyFlag(req.query.force)
+  });
+  if (!result.ok) return res.status(409).json(result);
+  return res.status(202).json(result);
+});
+
+app.delete('/api/mappings/:tinyDepositoId', (req, res) => {
   deleteMapping(req.params.tinyDepositoId);
   addLog({
     type: 'mapping',
@@ -563,66 +1434,493 @@ app.delete('/api/mappings/:tinyDepositoId', (req, res) => {
   res.json({ ok: true });
 });
 
+app.get('/api/sku-rules', (req, res) => {
+  res.json({ rules: listSkuStockRules() });
+});
+
+app.post('/api/sku-rules', (req, res) => {
+  const sku = normalizeText(req.body?.sku);
+  const mappingId = Number(req.body?.mapping_id) || 0;
+  const stockBuffer = parseRuleQuantity(req.body?.stock_buffer);
+  const stockMax = parseRuleQuantity(req.body?.stock_max);
+
+  if (!sku) {
+    return res.status(400).json({ ok: false, error: 'sku é obrigatório' });
+  }
+
+  if (stockBuffer === undefined || stockMax === undefined) {
+    return res
+      .status(400)
+      .json({ ok: false, error: 'stock_buffer e stock_max devem ser inteiros maiores ou iguais a zero' });
+  }
+
+  upsertSkuStockRule({ sku, mapping_id: mappingId, stock_buffer: stockBuffer, stock_max: stockMax });
+  addLog({
+    type: 'sku_rule',
+    status: 'ok',
+    message: 'Regra de estoque por SKU salva',
+    context: { sku, mappingId, stockBuffer, stockMax }
+  });
+
+  return res.json({ ok: true });
+});
+
+app.delete('/api/sku-rules/:id', (req, res) => {
+  deleteSkuStockRule(req.params.id);
+  addLog({
+    type: 'sku_rule',
+    status: 'ok',
+    message: 'Regra de estoque por SKU removida',
+    context: { id: req.params.id }
+  });
+  res.json({ ok: true });
+});
+
+app.get('/api/sku-cache', (req, res) => {
+  res.json({
+    total: countSkuCache(),
+    ttlHours: Number(getConfigValue('sku_cache_ttl_hours', '0')) || 0,
+    entries: listSkuCache({
+      search: normalizeText(req.query.search),
+      limit: Number(req.query.limit || 200)
+    })
+  });
+});
+
+app.delete('/api/sku-cache', (req, res) => {
+  const removed = clearSkuCache();
+  addLog({
+    type: 'sku_cache',
+    status: 'ok',
+    message: `Cache de SKUs limpo (${removed} entradas)`,
+    context: { removed }
+  });
+  res.json({ ok: true, removed });
+});
+
+app.delete('/api/sku-cache/:sku', (req, res) => {
+  const removed = deleteSkuCache(req.params.sku);
+  if (!removed) {
+    return res.status(404).json({ ok: false, error: 'SKU não está no cache' });
+  }
+
+  addLog({
+    type: 'sku_cache',
+    status: 'ok',
+    message: 'SKU removido do cache',
+    context: { sku: req.params.sku }
+  });
+  return res.json({ ok: true });
+});
+
+app.post('/api/sku-cache/warmup', (req, res) => {
+  const result = startSkuCacheWarmup({ trigger: 'manual' });
+  res.status(result.ok ? 202 : 409).json(result);
+});
+
+app.get('/api/duplicates', (req, res) => {
+  res.json(getDuplicateSkuReport());
+});
+
+app.post('/api/duplicates/scan', (req, res) => {
+  const result = startDuplicateSkuScan({ trigger: 'manual' });
+  res.status(result.ok ? 202 : 409).json(result);
+});
+
 app.get('/api/logs', (req, res) => {
   const limit = Number(req.query.limit || 200);
   res.json({ logs: listLogs(limit) });
 });
 
-app.post('/api/sync/full', async (req, res) => {
-  const result = await runFullSync({ trigger: 'manual' });
-  res.json(result);
+app.post('/api/sync/full', (req, res) => {
+  const body = req.body || {};
+  const skus = parseSkuList(body.skus);
+  const mappingId = Number(body.mappingId) || null;
+  const result = startFullSync({
+    trigger: mappingId || skus.length || body.pesquisa || body.namePrefix ? 'manual_scoped' : 'manual',
+    dryRun: isTruthyFlag(req.query.dryRun),
+    force: isTruthyFlag(req.query.force),
+    mappingId,
+    skus,
+    pesquisa: normalizeText(body.pesquisa),
+    namePrefix: normalizeText(body.namePrefix)
+  });
+  if (!result.ok) return res.status(409).json(result);
+  return res.status(result.runId ? 202 : 200).json(result);
 });
 
-app.post('/webhooks/tiny/stock', async (req, res) => {
-  if (!isWebhookAuthorized(req)) {
-    addLog({
-      type: 'webhook_stock',
-      status: 'unauthorized',
-      message: 'Webhook não autorizado',
-      context: { ip: req.ip }
-    });
-    return res.status(401).json({ ok: false, error: 'unauthorized' });
+app.post('/api/sync/full/resume', (req, res) => {
+  const runId = Number(req.body?.runId) || null;
+  const result = resumeFullSync({ runId, trigger: 'manual_resume' });
+  if (!result.ok) return res.status(409).json(result);
+  return res.status(202).json(result);
+});
+
+app.get('/api/sync/full/status', (req, res) => {
+  res.json(getFullSyncStatus());
+});
+
+app.get('/api/runs', (req, res) => {
+  const limit = Number(req.query.limit || 50);
+  res.json({
+    runs: listSyncRuns({
+      type: normalizeText(req.query.type),
+      trigger: normalizeText(req.query.trigger),
+      limit
+    })
+  });
+});
+
+app.get('/api/runs/:id', (req, res) => {
+  const run = getSyncRun(Number(req.params.id));
+  if (!run) {
+    return res.status(404).json({ ok: false, error: 'Execução não encontrada' });
   }
 
-  try {
-    const payload = parseWebhookPayload(req.body);
-    const result = await syncFromStockWebhook(payload);
-    return res.json(result);
-  } catch (error) {
-    addLog({
-      type: 'webhook_stock',
-      status: 'error',
-      message: error.message,
-      context: { body: req.body }
-    });
-    return res.status(500).json({ ok: false, error: error.message });
+  const items = listSyncRunItems(run.id, {
+    status: normalizeText(req.query.status),
+    limit: Number(req.query.limit || 500)
+  });
+  return res.json({ run, items });
+});
+
+app.get('/api/sync/preview', (req, res) => {
+  const preview = getLatestSyncPreview({ onlyChanged: isTruthyFlag(req.query.onlyChanged) });
+  res.json({ preview });
+});
+
+app.post('/api/sync/preview/apply', async (req, res) => {
+  const result = await applyLatestSyncPreview({ trigger: 'manual' });
+  res.status(result.ok ? 200 : 409).json(result);
+});
+
+const RECONCILIATION_CSV_COLUMNS = [
+  'status',
+  'sku',
+  'tiny_deposito_nome',
+  'shopify_location_id',
+  'shopify_location_name',
+  'shopify_quantity',
+  'tiny_quantity',
+  'delta',
+  'fixed_at'
+];
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Semicolon-separated so it opens in pt-BR spreadsheets without an import wizard.
+function reconciliationCsv(items) {
+  const lines = [RECONCILIATION_CSV_COLUMNS.join(';')];
+  for (const item of items) {
+    lines.push(RECONCILIATION_CSV_COLUMNS.map((column) => csvCell(item[column])).join(';'));
   }
+  return `${lines.join('\n')}\n`;
+}
+
+app.post('/api/reconciliation', (req, res) => {
+  const result = startReconciliation({ trigger: 'manual' });
+  res.status(result.ok ? 202 : 409).json(result);
 });
 
-app.post('/webhooks/tiny/sales', async (req, res) => {
-  if (!isWebhookAuthorized(req)) {
-    addLog({
-      type: 'webhook_sales',
-      status: 'unauthorized',
-      message: 'Webhook não autorizado',
-      context: { ip: req.ip }
-    });
-    return res.status(401).json({ ok: false, error: 'unauthorized' });
+app.get('/api/reconciliation', (req, res) => {
+  const { inProgress, reconciliation } = getReconciliationStatus();
+  const items = reconciliation
+    ? listReconciliationItems(reconciliation.id, {
+        status: normalizeText(req.query.status),
+        limit: Number(req.query.limit || 1000)
+      })
+    : [];
+  res.json({ inProgress, reconciliation, items });
+});
+
+app.get('/api/reconciliation/csv', (req, res) => {
+  const { reconciliation } = getReconciliationStatus();
+  if (!reconciliation) {
+    return res.status(404).json({ ok: false, error: 'Nenhuma reconciliação executada' });
+  }
+
+  const items = listReconciliationItems(reconciliation.id, {
+    status: normalizeText(req.query.status),
+    limit: -1
+  });
+  res.set('content-type', 'text/csv; charset=utf-8');
+  res.set('content-disposition', `attachment; filename="reconciliacao-${reconciliation.id}.csv"`);
+  return res.send(reconciliationCsv(items));
+});
+
+app.post('/api/reconciliation/fix', async (req, res) => {
+  const ids = (Array.isArray(req.body?.ids) ? req.body.ids : [])
+    .map(Number)
+    .filter((id) => Number.isInteger(id) && id > 0);
+  if (!ids.length) {
+    return res.status(400).json({ ok: false, error: 'Informe os ids das linhas a corrigir' });
+  }
+
+  const result = await fixReconciliationItems({ ids, trigger: 'manual' });
+  return res.status(result.ok ? 200 : 409).json(result);
+});
+
+// Credentials are the only part of a delivery not kept verbatim in the inbox.
+const REDACTED_WEBHOOK_HEADERS = ['authorization', 'cookie', 'x-webhook-secret', 'x-tiny-webhook-secret'];
+
+// Orders are never taken unsigned: without a webhook secret the client secret signs them.
+function checkShopifyWebhookRequest(req) {
+  const secret =
+    getConfigValue('shopify_webhook_secret', env.shopify.webhookSecret) ||
+    getConfigValue('shopify_client_secret', env.shopify.clientSecret);
+  if (!secret) {
+    return { status: 401, reason: 'secret_not_configured' };
+  }
+  return validateShopifyWebhookHmac(req.rawBody, req.headers['x-shopify-hmac-sha256'], secret)
+    ? null
+    : { status: 401, reason: 'invalid_hmac' };
+}
+
+// The secret field checkWebhookRequest accepts in the body is removed before the body is stored.
+function redactWebhookBody(req) {
+  const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+  if (String(req.headers['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+    const params = new URLSearchParams(body);
+    if (!params.has('secret')) return body;
+    params.delete('secret');
+    return params.toString();
   }
 
   try {
-    const payload = parseWebhookPayload(req.body);
-    const result = await syncFromSalesWebhook(payload);
-    return res.json(result);
-  } catch (error) {
-    addLog({
-      type: 'webhook_sales',
-      status: 'error',
-      message: error.message,
-      context: { body: req.body }
-    });
-    return res.status(500).json({ ok: false, error: error.message });
+    const parsed = JSON.parse(body);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || !('secret' in parsed)) return body;
+    const { secret, ...rest } = parsed;
+    return JSON.stringify(rest);
+  } catch {
+    return body;
+  }
+}
+
+// Rejected and repeated deliveries keep only metadata: nothing a caller sends before
+// authenticating is stored verbatim.
+function saveToWebhookInbox(req, type, { status, reason = null, jobId = null, metadataOnly = false }) {
+  const headers = { ...req.headers };
+  for (const name of REDACTED_WEBHOOK_HEADERS) {
+    if (headers[name] !== undefined) headers[name] = '[redacted]';
+  }
+
+  return saveWebhookInboxEntry(
+    {
+      type,
+      status,
+      reason,
+      ip: req.ip,
+      url: req.originalUrl.replace(/([?&]secret=)[^&]*/, '$1[redacted]').slice(0, 500),
+      contentType: String(req.headers['content-type'] || '').slice(0, 200),
+      headers: metadataOnly ? {} : headers,
+      body: metadataOnly ? '' : redactWebhookBody(req),
+      bodySize: req.rawBody ? req.rawBody.length : 0,
+      jobId
+    },
+    {
+      retentionDays: getPositiveConfigNumber(
+        'webhook_inbox_retention_days',
+        DEFAULT_WEBHOOK_INBOX_RETENTION_DAYS
+      )
+    }
+  );
+}
+
+// Parses a stored body the way the body parsers parsed it on arrival.
+function parseInboxPayload(entry) {
+  if (String(entry.content_type || '').includes('application/x-www-form-urlencoded')) {
+    return parseWebhookPayload(Object.fromEntries(new URLSearchParams(entry.body)));
+  }
+  return parseWebhookPayload(entry.body);
+}
+
+function handleWebhook(
+  type,
+  checkRequest,
+  {
+    isEnabled = () => true,
+    dedupConfigKey = 'tiny_webhook_dedup_minutes',
+    dedupDefaultMinutes = DEFAULT_WEBHOOK_DEDUP_MINUTES
+  } = {}
+) {
+  return (req, res) => {
+    const rejection = checkRequest(req);
+    if (rejection) {
+      saveToWebhookInbox(req, type, { status: 'rejected', reason: rejection.reason, metadataOnly: true });
+      addLog({
+        type,
+        status: 'unauthorized',
+        message: 'Webhook não autorizado',
+        context: { ip: req.ip, reason: rejection.reason }
+      });
+      return res.status(rejection.status).json({ ok: false, error: 'unauthorized' });
+    }
+
+    if (!isEnabled()) {
+      saveToWebhookInbox(req, type, { status: 'ignored', reason: 'disabled' });
+      return res.status(200).json({ ok: true, ignored: true });
+    }
+
+    const dedupKey = getWebhookDedupKey(req, type);
+    const windowMinutes = getPositiveConfigNumber(dedupConfigKey, dedupDefaultMinutes);
+    if (!recordWebhookReceipt({ dedupKey, type, windowMinutes })) {
+      saveToWebhookInbox(req, type, { status: 'duplicate', reason: dedupKey, metadataOnly: true });
+      addLog({
+        type,
+        status: 'skipped',
+        message: 'Webhook repetido ignorado',
+        context: { dedupKey }
+      });
+      return res.status(200).json({ ok: true, duplicate: true });
+    }
+
+    try {
+      const payload = parseWebhookPayload(req.body);
+      const jobId = enqueue(type, payload);
+      const inboxId = saveToWebhookInbox(req, type, { status: 'accepted', jobId });
+      return res.status(202).json({ ok: true, queued: true, jobId, inboxId });
+    } catch (error) {
+      // Not queued: a redelivery must be accepted.
+      deleteWebhookReceipt(dedupKey);
+      const inboxId = saveToWebhookInbox(req, type, { status: 'error', reason: error.message });
+      addLog({
+        type,
+        status: 'error',
+        message: error.message,
+        context: { inboxId }
+      });
+      return res.status(500).json({ ok: false, error: error.message });
+    }
+  };
+}
+
+app.post('/webhooks/tiny/stock', handleWebhook('webhook_stock', checkWebhookRequest));
+
+app.post('/webhooks/tiny/sales', handleWebhook('webhook_sales', checkWebhookRequest));
+
+// Shopify -> Tiny is opt-in: with shopify_orders_to_tiny off, signed orders are acknowledged and dropped.
+// Shopify retries a delivery for up to 48 hours, hence the longer dedup window.
+function handleShopifyOrderWebhook(type) {
+  return handleWebhook(type, checkShopifyWebhookRequest, {
+    isEnabled: isShopifyOrdersToTinyEnabled,
+    dedupConfigKey: 'shopify_webhook_dedup_minutes',
+    dedupDefaultMinutes: DEFAULT_SHOPIFY_WEBHOOK_DEDUP_MINUTES
+  });
+}
+
+app.post('/webhooks/shopify/orders/create', handleShopifyOrderWebhook('shopify_order_create'));
+
+app.post('/webhooks/shopify/orders/cancelled', handleShopifyOrderWebhook('shopify_order_cancelled'));
+
+app.get('/api/shopify/orders/movements', (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 500);
+  res.json({
+    movements: listShopifyOrderMovements({
+      orderId: normalizeText(req.query.order),
+      status: normalizeText(req.query.status),
+      limit
+    })
+  });
+});
+
+// A pending movement is checked on Tiny by hand: posted when it is there, error to post it again
+// on the next replay of the order webhook.
+app.post('/api/shopify/orders/movements/:id/resolve', (req, res) => {
+  const status = normalizeText(req.body?.status);
+  if (!['posted', 'error'].includes(status)) {
+    return res.status(400).json({ ok: false, error: 'status deve ser posted ou error' });
+  }
+
+  const movement = getShopifyOrderMovementById(req.params.id);
+  if (!movement) {
+    return res.status(404).json({ ok: false, error: 'Movimento não encontrado' });
+  }
+
+  const reason = status === 'posted' ? 'confirmed_manually' : 'not_found_on_tiny_manually';
+  if (!resolveShopifyOrderMovement(movement.id, { status, reason })) {
+    return res.status(409).json({ ok: false, error: `Movimento em estado ${movement.status} não está a conferir` });
+  }
+
+  addLog({
+    type: 'shopify_orders',
+    status: 'ok',
+    message: `Movimento ${movement.id} do pedido ${movement.order_name || movement.order_id} marcado como ${status}`,
+    context: { movementId: movement.id, status, user: req.user.username }
+  });
+  return res.json({ ok: true });
+});
+
+app.get('/api/webhooks/inbox', (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 500);
+  const entries = listWebhookInbox({
+    type: normalizeText(req.query.type),
+    status: normalizeText(req.query.status),
+    search: normalizeText(req.query.q),
+    limit
+  });
+  // The list leaves headers and bodies out; GET /api/webhooks/inbox/:id has them.
+  res.json({ entries: entries.map(({ headers, body, ...entry }) => entry) });
+});
+
+app.get('/api/webhooks/inbox/:id', (req, res) => {
+  const entry = getWebhookInboxEntry(Number(req.params.id));
+  if (!entry) {
+    return res.status(404).json({ ok: false, error: 'Webhook não encontrado' });
+  }
+  return res.json(entry);
+});
+
+// Runs the stored body through the current parser and handler, as a new job.
+app.post('/api/webhooks/inbox/:id/replay', (req, res) => {
+  const entry = getWebhookInboxEntry(Number(req.params.id));
+  if (!entry) {
+    return res.status(404).json({ ok: false, error: 'Webhook não encontrado' });
+  }
+  if (entry.job_status === 'queued' || entry.job_status === 'running') {
+    return res.status(409).json({ ok: false, error: `Webhook ${entry.id} ainda está na fila` });
+  }
+  if (entry.status === 'rejected' || entry.status === 'duplicate') {
+    return res.status(409).json({ ok: false, error: `Webhook ${entry.id} (${entry.status}) foi guardado sem body` });
+  }
+
+  const jobId = enqueue(entry.type, parseInboxPayload(entry));
+  markWebhookInboxReplayed(entry.id, jobId);
+  addLog({
+    type: 'webhook_inbox',
+    status: 'ok',
+    message: `Webhook ${entry.id} (${entry.type}) reprocessado`,
+    context: { inboxId: entry.id, jobId, previousStatus: entry.job_status || entry.status }
+  });
+  return res.status(202).json({ ok: true, jobId });
+});
+
+app.get('/api/jobs', (req, res) => {
+  const limit = Number(req.query.limit || 100);
+  res.json({ jobs: listJobs({ status: normalizeText(req.query.status), limit }) });
+});
+
+app.post('/api/jobs/:id/retry', (req, res) => {
+  const id = Number(req.params.id);
+  const job = getJob(id);
+  if (!job) {
+    return res.status(404).json({ ok: false, error: 'Job não encontrado' });
+  }
+
+  if (!retryJob(id)) {
+    return res.status(409).json({ ok: false, error: `Job em estado ${job.status} não pode ser reprocessado` });
   }
+
+  addLog({
+    type: 'job',
+    status: 'ok',
+    message: `Job ${id} reenfileirado manualmente`,
+    context: { jobId: id, type: job.type }
+  });
+  wakeJobWorker();
+  return res.json({ ok: true });
 });
 
 app.post('/api/test/sku', async (req, res) => {
@@ -634,7 +1932,39 @@ app.post('/api/test/sku', async (req, res) => {
 });
 
 initDefaults();
+await ensureInitialAdmin();
+
+if (hasEncryptionKey()) {
+  const encryptedSecrets = encryptStoredSecrets();
+  if (encryptedSecrets) {
+    addLog({
+      type: 'config',
+      status: 'ok',
+      message: `${encryptedSecrets} segredo(s) da configuração criptografado(s)`,
+      context: { encryptedSecrets }
+    });
+  }
+} else {
+  addLog({
+    type: 'config',
+    status: 'warning',
+    message: 'CONFIG_ENCRYPTION_KEY não configurada: tokens e segredos ficam sem criptografia no sync.db',
+    context: null
+  });
+}
+
+const interruptedRuns = markInterruptedSyncRuns();
+if (interruptedRuns) {
+  addLog({
+    type: 'full_sync',
+    status: 'warning',
+    message: `${interruptedRuns} execução(ões) interrompida(s) pelo restart; full syncs podem ser retomados`,
+    context: { interruptedRuns }
+  });
+}
+
 startScheduler();
+startJobWorker();
 
 app.listen(env.port, () => {
   const webhookStock = `${env.baseUrl}/webhooks/tiny/stock`;
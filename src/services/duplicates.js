@@ -0,0 +1,111 @@
+import { addLog, deleteSkuCacheByNormalizedSku, getLookupCache, saveLookupCache } from '../lib/db.js';
+import { listProductVariants } from './shopify.js';
+import { listTinyProducts } from './tiny.js';
+
+const REPORT_KEY = 'duplicate_skus';
+
+let scanInProgress = false;
+
+function normalizeSku(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function addToGroup(groups, sku, entry) {
+  const key = normalizeSku(sku);
+  const group = groups.get(key) || { sku, entries: [] };
+  group.entries.push(entry);
+  groups.set(key, group);
+}
+
+function duplicatedGroups(groups) {
+  return [...groups.values()]
+    .filter((group) => group.entries.length > 1)
+    .sort((a, b) => a.sku.localeCompare(b.sku));
+}
+
+async function scanShopify() {
+  const groups = new Map();
+  let after = null;
+  do {
+    const page = await listProductVariants({ after });
+    for (const variant of page.variants) {
+      if (!variant.sku) continue;
+      addToGroup(groups, variant.sku, {
+        variantId: variant.variantId,
+        inventoryItemId: variant.inventoryItemId,
+        title: variant.title
+      });
+    }
+    after = page.hasNextPage ? page.endCursor : null;
+  } while (after);
+
+  return duplicatedGroups(groups);
+}
+
+// Tiny lookups match on sku or codigo, so a product takes part under both values.
+async function scanTiny() {
+  const groups = new Map();
+  let page = 1;
+  while (true) {
+    const { products, totalPages } = await listTinyProducts(page);
+    for (const product of products) {
+      const values = new Map(
+        [product.sku, product.codigo].filter(Boolean).map((value) => [normalizeSku(value), value])
+      );
+      for (const value of values.values()) {
+        addToGroup(groups, value, {
+          id: product.id,
+          sku: product.sku,
+          codigo: product.codigo,
+          nome: product.nome
+        });
+      }
+    }
+
+    if (page >= totalPages) break;
+    page += 1;
+  }
+
+  return duplicatedGroups(groups);
+}
+
+async function executeScan(trigger) {
+  try {
+    const shopify = await scanShopify();
+    const tiny = await scanTiny();
+    saveLookupCache(REPORT_KEY, { shopify, tiny });
+    // A cache hit skips the ambiguity check, so SKUs that became duplicated since they
+    // were cached are evicted and the next lookup sees every candidate.
+    const evicted = shopify.reduce((total, group) => total + deleteSkuCacheByNormalizedSku(normalizeSku(group.sku)), 0);
+    addLog({
+      type: 'duplicate_sku',
+      status: shopify.length || tiny.length ? 'warning' : 'ok',
+      message: `Verificação de SKUs duplicados: ${shopify.length} no Shopify, ${tiny.length} na Tiny`,
+      context: { trigger, shopify: shopify.length, tiny: tiny.length, evicted }
+    });
+  } catch (error) {
+    addLog({ type: 'duplicate_sku', status: 'error', message: error.message, context: { trigger } });
+  }
+}
+
+export function startDuplicateSkuScan({ trigger = 'manual' } = {}) {
+  if (scanInProgress) {
+    return { ok: false, message: 'Verificação de SKUs duplicados já em execução' };
+  }
+
+  scanInProgress = true;
+  executeScan(trigger).finally(() => {
+    scanInProgress = false;
+  });
+  return { ok: true };
+}
+
+export function getDuplicateSkuReport() {
+  const cached = getLookupCache(REPORT_KEY);
+  return {
+    inProgress: scanInProgress,
+    fetchedAt: cached?.fetchedAt ?? null,
+    shopify: cached?.items.shopify ?? [],
+    tiny: cached?.items.tiny ?? []
+  };
+}
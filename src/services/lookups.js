@@ -0,0 +1,44 @@
+import { addLog, getLookupCache, saveLookupCache } from '../lib/db.js';
+import { listShopifyLocations } from './shopify.js';
+import { discoverTinyDeposits } from './tiny.js';
+
+const DEFAULT_DEPOSIT_SAMPLE = 30;
+
+// Lists used by the mapping form. They are cached until an explicit refresh; if a
+// refresh fails the last cached list is returned flagged as stale.
+async function cachedLookup(key, { refresh, fetch }) {
+  const cached = getLookupCache(key);
+  if (cached && !refresh) {
+    return { ...cached, cached: true };
+  }
+
+  try {
+    const items = await fetch();
+    saveLookupCache(key, items);
+    return { ...getLookupCache(key), cached: false };
+  } catch (error) {
+    addLog({ type: 'lookup', status: 'error', message: error.message, context: { key } });
+    if (!cached) throw error;
+    return { ...cached, cached: true, stale: true, error: error.message };
+  }
+}
+
+export function getShopifyLocations({ refresh = false } = {}) {
+  return cachedLookup('shopify_locations', {
+    refresh,
+    fetch: async () =>
+      (await listShopifyLocations()).map((location) => ({
+        id: location.numericId,
+        gid: location.id,
+        name: location.name,
+        isActive: location.isActive
+      }))
+  });
+}
+
+export function getTinyDeposits({ refresh = false, sampleProducts = DEFAULT_DEPOSIT_SAMPLE } = {}) {
+  return cachedLookup('tiny_deposits', {
+    refresh,
+    fetch: () => discoverTinyDeposits(sampleProducts)
+  });
+}
@@ -0,0 +1,237 @@
+import {
+  addLog,
+  getShopifyOrderMovement,
+  listActiveMappings,
+  saveShopifyOrderMovement
+} from '../lib/db.js';
+import { getOrderFulfillmentLocations } from './shopify.js';
+import { resolveTinyProductBySku, updateTinyProductStock } from './tiny.js';
+
+const LOG_TYPE = 'shopify_orders';
+
+function locationKey(locationId) {
+  return String(locationId || '').split('/').pop();
+}
+
+// A mapping that writes to the location directly wins over one that only lists it as an extra target.
+function findMappingForLocation(locationId, mappings) {
+  const key = locationKey(locationId);
+  return (
+    mappings.find((mapping) => locationKey(mapping.shopify_location_id) === key) ||
+    mappings.find((mapping) =>
+      (mapping.extra_targets || []).some((target) => locationKey(target.shopify_location_id) === key)
+    ) ||
+    null
+  );
+}
+
+// Orders placed at a location (POS) carry it; the others are read from their fulfillment orders.
+// Without the order scopes the lines stay unresolved: retrying cannot help until the app is reauthorized.
+async function resolveLineItemLocations(order, lineItems) {
+  if (order.location_id) {
+    return {
+      locations: new Map(lineItems.map((item) => [String(item.id), locationKey(order.location_id)])),
+      unresolvedReason: 'location_unknown'
+    };
+  }
+
+  try {
+    return { locations: await getOrderFulfillmentLocations(order.id), unresolvedReason: 'location_unknown' };
+  } catch (error) {
+    if (!error.accessDenied) throw error;
+    addLog({
+      type: LOG_TYPE,
+      status: 'error',
+      message: 'Shopify recusou a leitura do pedido: autorize os escopos read_orders e read_merchant_managed_fulfillment_orders',
+      context: { orderId: String(order.id), error: error.message }
+    });
+    return { locations: new Map(), unresolvedReason: 'missing_shopify_scope' };
+  }
+}
+
+function restockedQuantities(order) {
+  const quantities = new Map();
+  for (const refund of order.refunds || []) {
+    for (const entry of refund.refund_line_items || []) {
+      if (entry.restock_type === 'no_restock') continue;
+      const key = String(entry.line_item_id);
+      quantities.set(key, (quantities.get(key) || 0) + Number(entry.quantity || 0));
+    }
+  }
+  return quantities;
+}
+
+async function postMovement(movement, tipo, observacoes) {
+  try {
+    const result = await updateTinyProductStock(movement.tiny_product_id, {
+      depositoId: movement.tiny_deposito_id,
+      depositoNome: movement.tiny_deposito_nome,
+      tipo,
+      quantidade: movement.quantity,
+      observacoes
+    });
+    saveShopifyOrderMovement({
+      ...movement,
+      status: 'posted',
+      reason: null,
+      tiny_movement_id: result.movementId
+    });
+    return 'posted';
+  } catch (error) {
+    // Tiny may have applied a movement whose answer was lost: it waits to be checked, not reposted.
+    if (error.uncertain) {
+      saveShopifyOrderMovement({ ...movement, status: 'pending', reason: error.message });
+      return 'pending';
+    }
+    saveShopifyOrderMovement({ ...movement, status: 'error', reason: error.message });
+    return 'failed';
+  }
+}
+
+function summarize(order, kind, outcomes) {
+  const counts = { posted: 0, already: 0, pending: 0, skipped: 0, failed: 0 };
+  for (const outcome of outcomes) counts[outcome] += 1;
+
+  const label = kind === 'sale' ? 'venda' : 'cancelamento';
+  const pending = counts.pending ? `, ${counts.pending} a conferir` : '';
+  addLog({
+    type: LOG_TYPE,
+    status: counts.failed ? 'error' : counts.pending ? 'warning' : 'ok',
+    message: `Pedido Shopify ${order.name || order.id} (${label}): ${counts.posted} movimento(s) lançado(s) na Tiny${pending}`,
+    context: { orderId: String(order.id), ...counts }
+  });
+
+  // A failed line makes the job retry; lines already posted or pending are not posted again.
+  return counts.failed
+    ? { ok: false, error: `${counts.failed} item(ns) do pedido não lançado(s) na Tiny`, ...counts }
+    : { ok: true, ...counts };
+}
+
+// orders/create: one stock exit (S) per line item, in the Tiny deposit mapped to the
+// location that fulfills it.
+export async function pushShopifyOrderToTiny(order) {
+  if (!order?.id) {
+    return { ok: true, skipped: true, reason: 'order_id_missing' };
+  }
+
+  const lineItems = (order.line_items || []).filter((item) => Number(item.quantity) > 0);
+  const mappings = listActiveMappings();
+  const { locations, unresolvedReason } = await resolveLineItemLocations(order, lineItems);
+  const outcomes = [];
+
+  for (const item of lineItems) {
+    const previous = getShopifyOrderMovement({ orderId: order.id, lineItemId: item.id, kind: 'sale' });
+    if (previous?.status === 'posted' || previous?.status === 'pending') {
+      outcomes.push(previous.status === 'posted' ? 'already' : 'pending');
+      continue;
+    }
+
+    const sku = String(item.sku || '').trim();
+    const locationId = locations.get(String(item.id)) || null;
+    const movement = {
+      order_id: order.id,
+      order_name: order.name,
+      line_item_id: item.id,
+      kind: 'sale',
+      sku,
+      quantity: Number(item.quantity),
+      shopify_location_id: locationId
+    };
+    const skip = (reason) => {
+      saveShopifyOrderMovement({ ...movement, status: 'skipped', reason });
+      outcomes.push('skipped');
+    };
+
+    if (!sku) {
+      skip('no_sku');
+      continue;
+    }
+    if (!locationId) {
+      skip(unresolvedReason);
+      continue;
+    }
+
+    const mapping = findMappingForLocation(locationId, mappings);
+    if (!mapping) {
+      skip('location_not_mapped');
+      continue;
+    }
+
+    const product = await resolveTinyProductBySku(sku);
+    if (product?.ambiguous) {
+      skip('sku_duplicated_on_tiny');
+      continue;
+    }
+    if (!product?.id) {
+      skip('not_found_on_tiny');
+      continue;
+    }
+
+    const outcome = await postMovement(
+      {
+        ...movement,
+        tiny_product_id: product.id,
+        tiny_deposito_id: mapping.tiny_deposito_id,
+        tiny_deposito_nome: mapping.tiny_deposito_nome
+      },
+      'S',
+      `Pedido Shopify ${order.name || order.id}`
+    );
+    outcomes.push(outcome);
+  }
+
+  return summarize(order, 'sale', outcomes);
+}
+
+// orders/cancelled: returns (E) what the sale posted, limited to the quantities Shopify restocked.
+export async function revertShopifyOrderInTiny(order) {
+  if (!order?.id) {
+    return { ok: true, skipped: true, reason: 'order_id_missing' };
+  }
+
+  const restocked = restockedQuantities(order);
+  const outcomes = [];
+
+  for (const item of order.line_items || []) {
+    const previous = getShopifyOrderMovement({ orderId: order.id, lineItemId: item.id, kind: 'cancel' });
+    if (previous?.status === 'posted' || previous?.status === 'pending') {
+      outcomes.push(previous.status === 'posted' ? 'already' : 'pending');
+      continue;
+    }
+
+    const sale = getShopifyOrderMovement({ orderId: order.id, lineItemId: item.id, kind: 'sale' });
+    if (sale?.status !== 'posted' && sale?.status !== 'pending') continue;
+
+    const quantity = Math.min(restocked.get(String(item.id)) || 0, sale.quantity);
+    const movement = {
+      order_id: order.id,
+      order_name: order.name,
+      line_item_id: item.id,
+      kind: 'cancel',
+      sku: sale.sku,
+      quantity,
+      shopify_location_id: sale.shopify_location_id,
+      tiny_product_id: sale.tiny_product_id,
+      tiny_deposito_id: sale.tiny_deposito_id,
+      tiny_deposito_nome: sale.tiny_deposito_nome
+    };
+
+    if (!quantity) {
+      saveShopifyOrderMovement({ ...movement, status: 'skipped', reason: 'not_restocked' });
+      outcomes.push('skipped');
+      continue;
+    }
+
+    // Until the sale is confirmed there may be nothing to return.
+    if (sale.status === 'pending') {
+      saveShopifyOrderMovement({ ...movement, status: 'skipped', reason: 'sale_pending' });
+      outcomes.push('skipped');
+      continue;
+    }
+
+    const note = `Cancelamento do pedido Shopify ${order.name || order.id}`;
+    outcomes.push(await postMovement(movement, 'E', note));
+  }
+
+  return summarize(order, 'cancel', outcomes);
+}
@@ -0,0 +1,131 @@
+import {
+  addLog,
+  claimNextJob,
+  completeJob,
+  enqueueJob,
+  failJob,
+  getConfigValue,
+  requeueRunningJobs
+} from '../lib/db.js';
+import { pushShopifyOrderToTiny, revertShopifyOrderInTiny } from './orders.js';
+import { syncFromSalesWebhook, syncFromStockWebhook } from './sync.js';
+
+const POLL_INTERVAL_MS = 5000;
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 60 * 60;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+const handlers = {
+  webhook_stock: (payload) => syncFromStockWebhook(payload),
+  webhook_sales: (payload) => syncFromSalesWebhook(payload),
+  shopify_order_create: (payload) => pushShopifyOrderToTiny(payload),
+  shopify_order_cancelled: (payload) => revertShopifyOrderInTiny(payload)
+};
+
+let timer = null;
+let working = false;
+
+function currentMaxAttempts() {
+  const configured = Number(getConfigValue('job_max_attempts', String(DEFAULT_MAX_ATTEMPTS)));
+  if (!Number.isInteger(configured) || configured <= 0) return DEFAULT_MAX_ATTEMPTS;
+  return configured;
+}
+
+export function backoffSeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+async function processJob(job) {
+  const handler = handlers[job.type];
+  if (!handler) {
+    failJob(job.id, { error: `Tipo de job desconhecido: ${job.type}` });
+    return;
+  }
+
+  try {
+    const result = await handler(job.payload);
+    if (result?.ok === false) {
+      throw new Error(result.error || result.message || 'Job retornou ok=false');
+    }
+    completeJob(job.id, result);
+  } catch (error) {
+    if (job.attempts >= job.max_attempts) {
+      failJob(job.id, { error: error.message });
+      addLog({
+        type: 'job',
+        status: 'dead',
+        message: `Job ${job.id} (${job.type}) esgotou ${job.attempts} tentativas: ${error.message}`,
+        context: { jobId: job.id, type: job.type, attempts: job.attempts }
+      });
+      return;
+    }
+
+    const retryInSeconds = backoffSeconds(job.attempts);
+    failJob(job.id, { error: error.message, retryInSeconds });
+    addLog({
+      type: 'job',
+      status: 'retry',
+      message: `Job ${job.id} (${job.type}) falhou, nova tentativa em ${retryInSeconds}s: ${error.message}`,
+      context: { jobId: job.id, type: job.type, attempts: job.attempts }
+    });
+  }
+}
+
+async function drainQueue() {
+  if (working) return;
+  working = true;
+
+  try {
+    while (true) {
+      const job = claimNextJob();
+      if (!job) break;
+      await processJob(job);
+    }
+  } catch (error) {
+    addLog({ type: 'job', status: 'error', message: error.message, context: null });
+  } finally {
+    working = false;
+  }
+}
+
+export function enqueue(type, payload) {
+  if (!handlers[type]) {
+    throw new Error(`Tipo de job desconhecido: ${type}`);
+  }
+
+  const jobId = enqueueJob({ type, payload, maxAttempts: currentMaxAttempts() });
+  wakeJobWorker();
+  return jobId;
+}
+
+export function wakeJobWorker() {
+  setImmediate(() => {
+    drainQueue();
+  });
+}
+
+export function startJobWorker() {
+  if (timer) return;
+
+  const requeued = requeueRunningJobs();
+  if (requeued) {
+    addLog({
+      type: 'job',
+      status: 'warning',
+      message: `${requeued} job(s) interrompido(s) voltaram para a fila`,
+      context: { requeued }
+    });
+  }
+
+  timer = setInterval(() => {
+    drainQueue();
+  }, POLL_INTERVAL_MS);
+  wakeJobWorker();
+}
+
+export function getJobWorkerStatus() {
+  return {
+    running: Boolean(timer),
+    busy: working
+  };
+}
@@ -1,8 +1,10 @@
 import { getConfigValue, addLog } from '../lib/db.js';
 import { env } from '../lib/env.js';
 import { runIncrementalSync } from './sync.js';
+import { runSkuCacheWarmup } from './warmup.js';
 
 let timer = null;
+let warmupTimer = null;
 
 function currentIntervalMinutes() {
   const configured = Number(getConfigValue('sync_interval_minutes', String(env.syncIntervalMinutes)));
@@ -10,6 +12,42 @@ function currentIntervalMinutes() {
   return configured;
 }
 
+// Hour of day (server time) for the nightly sku_cache warm-up; empty disables it.
+function currentWarmupHour() {
+  const raw = String(getConfigValue('sku_cache_warmup_hour', '') ?? '').trim();
+  if (!raw) return null;
+
+  const hour = Number(raw);
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : null;
+}
+
+function msUntilHour(hour) {
+  const now = new Date();
+  const next = new Date(now);
+  next.setHours(hour, 0, 0, 0);
+  if (next <= now) next.setDate(next.getDate() + 1);
+  return next - now;
+}
+
+function scheduleWarmup() {
+  if (warmupTimer) {
+    clearTimeout(warmupTimer);
+    warmupTimer = null;
+  }
+
+  const hour = currentWarmupHour();
+  if (hour === null) return;
+
+  warmupTimer = setTimeout(() => {
+    warmupTimer = null;
+    runSkuCacheWarmup({ trigger: 'scheduler' })
+      .catch((error) => {
+        addLog({ type: 'scheduler', status: 'error', message: error.message, context: null });
+      })
+      .finally(scheduleWarmup);
+  }, msUntilHour(hour));
+}
+
 export function startScheduler() {
   restartScheduler();
 }
@@ -34,17 +72,22 @@ export function restartScheduler() {
     });
   }, intervalMs);
 
+  scheduleWarmup();
+  const warmupHour = currentWarmupHour();
+
   addLog({
     type: 'scheduler',
     status: 'ok',
-    message: `Scheduler ativo: ${intervalMinutes} minuto(s)`,
-    context: { intervalMinutes }
+    message: `Scheduler ativo: ${intervalMinutes} minuto(s)` +
+      (warmupHour === null ? '' : `, cache de SKUs às ${warmupHour}h`),
+    context: { intervalMinutes, warmupHour }
   });
 }
 
 export function getSchedulerStatus() {
   return {
     running: Boolean(timer),
-    intervalMinutes: currentIntervalMinutes()
+    intervalMinutes: currentIntervalMinutes(),
+    warmupHour: currentWarmupHour()
   };
 }
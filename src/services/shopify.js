@@ -1,5 +1,15 @@
 import { env } from '../lib/env.js';
-import { getConfigValue, getSkuCache, saveSkuCache } from '../lib/db.js';
+import { deleteSkuCache, getConfigValue, getSkuCache, saveSkuCache } from '../lib/db.js';
+import { createRateLimiter, parseRetryAfterMs, retryableError } from '../lib/limiter.js';
+
+const DEFAULT_QUERY_COST = 10;
+const COMPARE_QUANTITY_STALE = 'COMPARE_QUANTITY_STALE';
+const INVALID_INVENTORY_ITEM = 'INVALID_INVENTORY_ITEM';
+const DEFAULT_SKU_CACHE_TTL_HOURS = 0;
+
+const shopifyLimiter = createRateLimiter('shopify');
+// Last requested cost per query text, so the limiter can reserve budget up front.
+const queryCosts = new Map();
 
 function getShopifyStore() {
   return getConfigValue('shopify_store', env.shopify.store);
@@ -31,29 +41,83 @@ function toInventoryItemGid(inventoryItemId) {
     : `gid://shopify/InventoryItem/${inventoryItemId}`;
 }
 
+function throttleWaitMs(cost) {
+  const status = cost?.throttleStatus;
+  if (!status || !Number(status.restoreRate)) return null;
+
+  const missing = Number(cost.requestedQueryCost || DEFAULT_QUERY_COST) - Number(status.currentlyAvailable);
+  return Math.max(1000, Math.ceil((missing / Number(status.restoreRate)) * 1000));
+}
+
+// The token lacks a scope the query needs: only a new authorization fixes it, so it is not retried.
+function accessDeniedError(message) {
+  const error = new Error(message);
+  error.accessDenied = true;
+  return error;
+}
+
 async function shopifyGraphql(query, variables = {}) {
   assertShopifyConfigured();
 
   const url = `https://${getShopifyStore()}/admin/api/${getShopifyApiVersion()}/graphql.json`;
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'content-type': 'application/json',
-      'x-shopify-access-token': getShopifyToken()
-    },
-    body: JSON.stringify({ query, variables })
-  });
+  return shopifyLimiter.run(async () => {
+    await shopifyLimiter.acquire(queryCosts.get(query) ?? DEFAULT_QUERY_COST);
 
-  if (!response.ok) {
-    throw new Error(`Shopify HTTP ${response.status}`);
-  }
+    let response = null;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-shopify-access-token': getShopifyToken()
+        },
+        body: JSON.stringify({ query, variables })
+      });
+    } catch (error) {
+      throw retryableError(`Shopify indisponível: ${error.message}`);
+    }
 
-  const payload = await response.json();
-  if (Array.isArray(payload.errors) && payload.errors.length) {
-    throw new Error(`Shopify GraphQL: ${payload.errors.map((e) => e.message).join('; ')}`);
-  }
+    if (response.status === 429 || response.status >= 500) {
+      throw retryableError(`Shopify HTTP ${response.status}`, {
+        retryAfterMs: parseRetryAfterMs(response.headers.get('retry-after')),
+        throttled: response.status === 429
+      });
+    }
+
+    if (response.status === 403) {
+      throw accessDeniedError(`Shopify HTTP ${response.status}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Shopify HTTP ${response.status}`);
+    }
+
+    const payload = await response.json();
+    const cost = payload.extensions?.cost;
+    if (cost?.throttleStatus) {
+      shopifyLimiter.updateBudget(cost.throttleStatus);
+    }
+    if (cost?.requestedQueryCost) {
+      queryCosts.set(query, Number(cost.requestedQueryCost));
+    }
 
-  return payload.data;
+    if (Array.isArray(payload.errors) && payload.errors.length) {
+      if (payload.errors.some((e) => e.extensions?.code === 'THROTTLED')) {
+        throw retryableError('Shopify GraphQL: THROTTLED', {
+          retryAfterMs: throttleWaitMs(cost),
+          throttled: true
+        });
+      }
+
+      const message = `Shopify GraphQL: ${payload.errors.map((e) => e.message).join('; ')}`;
+      if (payload.errors.some((e) => e.extensions?.code === 'ACCESS_DENIED')) {
+        throw accessDeniedError(message);
+      }
+      throw new Error(message);
+    }
+
+    return payload.data;
+  });
 }
 
 export async function listShopifyLocations() {
@@ -82,11 +146,28 @@ export async function listShopifyLocations() {
     .sort((a, b) => a.name.localeCompare(b.name));
 }
 
+// 0 keeps cache entries until they are evicted; the sync evicts them itself when
+// Shopify reports the cached inventory item as gone.
+function getSkuCacheTtlMs() {
+  const configured = Number(getConfigValue('sku_cache_ttl_hours', String(DEFAULT_SKU_CACHE_TTL_HOURS)));
+  if (!Number.isFinite(configured) || configured <= 0) return null;
+  return configured * 60 * 60 * 1000;
+}
+
+function isSkuCacheFresh(entry) {
+  const ttlMs = getSkuCacheTtlMs();
+  if (!ttlMs) return true;
+
+  // SQLite CURRENT_TIMESTAMP is UTC without a zone suffix.
+  const updatedAt = Date.parse(`${String(entry.updated_at).replace(' ', 'T')}Z`);
+  return Number.isFinite(updatedAt) && Date.now() - updatedAt < ttlMs;
+}
+
 export async function findInventoryItemBySku(sku) {
   if (!sku) return null;
 
   const cached = getSkuCache(sku);
-  if (cached) {
+  if (cached && isSkuCacheFresh(cached)) {
     return {
       inventoryItemId: toInventoryItemGid(cached.shopify_inventory_item_id),
       variantId: cached.shopify_variant_id || null,
@@ -97,7 +178,7 @@ export async function findInventoryItemBySku(sku) {
 
   const query = `
     query FindVariantBySku($query: String!) {
-      productVariants(first: 1, query: $query) {
+      productVariants(first: 10, query: $query) {
         edges {
           node {
             id
@@ -115,17 +196,25 @@ export async function findInventoryItemBySku(sku) {
     }
   `;
 
+  // The search is fuzzy, so only exact SKU matches count; more than one is ambiguous
+  // and is never cached, so a fix in Shopify is picked up on the next lookup.
   const data = await shopifyGraphql(query, { query: `sku:${sku}` });
-  const edge = data.productVariants.edges[0];
-  if (!edge) return null;
-
-  const node = edge.node;
-  const result = {
-    inventoryItemId: node.inventoryItem.id,
-    variantId: node.id,
-    title: `${node.product.title} - ${node.title}`,
-    source: 'api'
-  };
+  const needle = String(sku).trim().toLowerCase();
+  const matches = data.productVariants.edges
+    .map((edge) => edge.node)
+    .filter((node) => String(node.sku || '').trim().toLowerCase() === needle)
+    .map((node) => ({
+      inventoryItemId: node.inventoryItem.id,
+      variantId: node.id,
+      title: `${node.product.title} - ${node.title}`,
+      source: 'api'
+    }));
+
+  if (matches.length !== 1 && cached) deleteSkuCache(sku);
+  if (!matches.length) return null;
+  if (matches.length > 1) return { ambiguous: true, candidates: matches };
+
+  const result = matches[0];
 
   saveSkuCache({
     sku,
@@ -137,13 +226,197 @@ export async function findInventoryItemBySku(sku) {
   return result;
 }
 
-export async function setInventoryQuantity({ inventoryItemId, locationId, quantity, reason = 'correction' }) {
+// One page of the whole variant catalog, used to preload sku_cache.
+export async function listProductVariants({ after = null, first = 250 } = {}) {
+  const query = `
+    query ListVariants($first: Int!, $after: String) {
+      productVariants(first: $first, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          node {
+            id
+            sku
+            title
+            product {
+              title
+            }
+            inventoryItem {
+              id
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await shopifyGraphql(query, { first, after });
+  const { edges, pageInfo } = data.productVariants;
+  return {
+    variants: edges.map(({ node }) => ({
+      variantId: node.id,
+      sku: node.sku ? String(node.sku).trim() : '',
+      title: `${node.product.title} - ${node.title}`,
+      inventoryItemId: node.inventoryItem.id
+    })),
+    hasNextPage: pageInfo.hasNextPage,
+    endCursor: pageInfo.endCursor
+  };
+}
+
+export async function getInventoryQuantity({ inventoryItemId, locationId }) {
+  const query = `
+    query InventoryLevel($inventoryItemId: ID!, $locationId: ID!) {
+      inventoryItem(id: $inventoryItemId) {
+        id
+        inventoryLevel(locationId: $locationId) {
+          quantities(names: ["available"]) {
+            name
+            quantity
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await shopifyGraphql(query, {
+    inventoryItemId: toInventoryItemGid(inventoryItemId),
+    locationId: toLocationGid(locationId)
+  });
+
+  // null means the item is not stocked at this location yet.
+  const level = data.inventoryItem?.inventoryLevel;
+  if (!level) return null;
+
+  const available = level.quantities.find((entry) => entry.name === 'available');
+  return available ? Number(available.quantity) : 0;
+}
+
+// One page of the inventory stocked at a location, for reconciliation reports.
+export async function listLocationInventoryLevels({ locationId, after = null, first = 100 }) {
+  const query = `
+    query LocationInventoryLevels($locationId: ID!, $first: Int!, $after: String) {
+      location(id: $locationId) {
+        inventoryLevels(first: $first, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          edges {
+            node {
+              quantities(names: ["available"]) {
+                name
+                quantity
+              }
+              item {
+                id
+                sku
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await shopifyGraphql(query, { locationId: toLocationGid(locationId), first, after });
+  if (!data.location) {
+    throw new Error(`Location Shopify ${locationId} não encontrada`);
+  }
+
+  const { edges, pageInfo } = data.location.inventoryLevels;
+  return {
+    levels: edges.map(({ node }) => {
+      const available = node.quantities.find((entry) => entry.name === 'available');
+      return {
+        inventoryItemId: node.item.id,
+        sku: node.item.sku ? String(node.item.sku).trim() : '',
+        quantity: available ? Number(available.quantity) : 0
+      };
+    }),
+    hasNextPage: pageInfo.hasNextPage,
+    endCursor: pageInfo.endCursor
+  };
+}
+
+// Where each line item of an order is fulfilled from: line item ID -> location numeric ID.
+// Needs read_orders and read_merchant_managed_fulfillment_orders (or the assigned variant).
+export async function getOrderFulfillmentLocations(orderId) {
+  const query = `
+    query OrderFulfillmentLocations($orderId: ID!) {
+      order(id: $orderId) {
+        fulfillmentOrders(first: 20) {
+          edges {
+            node {
+              assignedLocation {
+                location {
+                  id
+                }
+              }
+              lineItems(first: 100) {
+                edges {
+                  node {
+                    lineItem {
+                      id
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const gid = String(orderId).startsWith('gid://') ? String(orderId) : `gid://shopify/Order/${orderId}`;
+  const data = await shopifyGraphql(query, { orderId: gid });
+  if (!data.order) {
+    throw new Error(`Pedido Shopify ${orderId} não encontrado`);
+  }
+
+  const locations = new Map();
+  for (const { node } of data.order.fulfillmentOrders.edges) {
+    const locationId = node.assignedLocation?.location?.id?.split('/').pop();
+    if (!locationId) continue;
+    for (const { node: item } of node.lineItems.edges) {
+      locations.set(item.lineItem.id.split('/').pop(), locationId);
+    }
+  }
+  return locations;
+}
+
+function isMissingInventoryItemError(userError) {
+  if (userError.code === INVALID_INVENTORY_ITEM) return true;
+  return /inventory item.*(could not be found|not found|does not exist)/i.test(userError.message || '');
+}
+
+function userErrorQuantityIndex(userError) {
+  // Per-item errors point at the item: ["input", "quantities", "3", "locationId"].
+  const field = Array.isArray(userError.field) ? userError.field : [];
+  const position = field.indexOf('quantities');
+  if (position === -1) return null;
+
+  const index = Number(field[position + 1]);
+  return Number.isInteger(index) ? index : null;
+}
+
+// null is what getInventoryQuantity returns for an item not stocked at the location yet:
+// there is no quantity to compare with, so the item is written without the check.
+export function hasCompareQuantity(item) {
+  return item.compareQuantity !== undefined && item.compareQuantity !== null;
+}
+
+export async function setInventoryQuantities({ quantities, reason = 'correction' }) {
   const mutation = `
     mutation SetInventory($input: InventorySetQuantitiesInput!) {
       inventorySetQuantities(input: $input) {
         userErrors {
           field
           message
+          code
         }
         inventoryAdjustmentGroup {
           reason
@@ -157,26 +430,66 @@ export async function setInventoryQuantity({ inventoryItemId, locationId, quanti
     }
   `;
 
+  // compareQuantity is all or nothing per mutation: either every item carries the
+  // quantity we last read from Shopify, or the check is skipped for the whole batch.
+  const compare = quantities.every(hasCompareQuantity);
   const variables = {
     input: {
       name: 'available',
       reason,
-      ignoreCompareQuantity: true,
-      quantities: [
-        {
-          inventoryItemId: toInventoryItemGid(inventoryItemId),
-          locationId: toLocationGid(locationId),
-          quantity: Number(quantity)
-        }
-      ]
+      ignoreCompareQuantity: !compare,
+      quantities: quantities.map((item) => ({
+        inventoryItemId: toInventoryItemGid(item.inventoryItemId),
+        locationId: toLocationGid(item.locationId),
+        quantity: Number(item.quantity),
+        ...(compare ? { compareQuantity: item.compareQuantity } : {})
+      }))
     }
   };
 
   const data = await shopifyGraphql(mutation, variables);
   const result = data.inventorySetQuantities;
 
-  if (result.userErrors?.length) {
-    throw new Error(result.userErrors.map((e) => e.message).join('; '));
+  const itemErrors = new Map();
+  const staleItems = new Set();
+  const missingItems = new Set();
+  const generalErrors = [];
+  for (const userError of result.userErrors || []) {
+    const index = userErrorQuantityIndex(userError);
+    if (index === null || index >= quantities.length) {
+      generalErrors.push(userError.message);
+      continue;
+    }
+
+    if (userError.code === COMPARE_QUANTITY_STALE) {
+      staleItems.add(index);
+    }
+    if (isMissingInventoryItemError(userError)) {
+      missingItems.add(index);
+    }
+    itemErrors.set(index, [...(itemErrors.get(index) || []), userError.message]);
+  }
+
+  return {
+    // The mutation is all-or-nothing: any userError means nothing was written.
+    applied: !result.userErrors?.length,
+    itemErrors,
+    staleItems,
+    missingItems,
+    generalErrors,
+    inventoryAdjustmentGroup: result.inventoryAdjustmentGroup
+  };
+}
+
+export async function setInventoryQuantity({ inventoryItemId, locationId, quantity, reason = 'correction' }) {
+  const result = await setInventoryQuantities({
+    quantities: [{ inventoryItemId, locationId, quantity }],
+    reason
+  });
+
+  if (!result.applied) {
+    const messages = [...result.generalErrors, ...[...result.itemErrors.values()].flat()];
+    throw new Error(messages.join('; '));
   }
 
   return result;
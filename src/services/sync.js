@@ -1,23 +1,58 @@
 import {
   addLog,
+  addReconciliationItem,
+  addSyncPreviewItem,
+  addSyncRunItem,
+  checkpointSyncRun,
+  createReconciliation,
+  createSyncPreview,
+  createSyncRun,
+  deleteSkuCache,
+  deleteTinyProducts,
+  deleteTinyProductsOlderThan,
+  finishReconciliation,
+  finishSyncPreview,
+  finishSyncRun,
   getConfigValue,
-  getMappingByDeposito,
-  getMappingByDepositoNome,
+  getInventorySnapshot,
+  getLatestReconciliation,
+  getLatestSyncPreview,
+  getLatestSyncRun,
+  getReconciliationItems,
+  getSyncRun,
+  getSkuStockRule,
   listActiveMappings,
-  setConfigValue
+  markReconciliationItemFixed,
+  markSyncPreviewApplied,
+  reopenSyncRun,
+  saveInventorySnapshot,
+  saveTinyProducts,
+  setConfigValue,
+  updateSyncRunCounters
 } from '../lib/db.js';
+import { diffRateLimitStats, getRateLimitStats } from '../lib/limiter.js';
 import {
-  findTinyProductBySku,
   getTinyProductStock,
   listTinyStockUpdates,
-  listTinyProducts
+  listTinyProducts,
+  resolveTinyProductBySku,
+  tinySupportsStockUpdates
 } from './tiny.js';
 import {
   findInventoryItemBySku,
-  setInventoryQuantity
+  getInventoryQuantity,
+  hasCompareQuantity,
+  listLocationInventoryLevels,
+  setInventoryQuantities
 } from './shopify.js';
 
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_PREVIEW_MAX_AGE_MINUTES = 30;
+const MAX_BATCH_SIZE = 250;
+const DEFAULT_COMPARE_RETRIES = 3;
+
 let fullSyncInProgress = false;
+let reconciliationInProgress = false;
 
 function safeNumber(value, fallback = 0) {
   const n = Number(value);
@@ -30,10 +65,321 @@ function logAndStore({ type, status, message, context }) {
   console.log(prefix, message || '', context || '');
 }
 
+const OUTCOME_COUNTERS = {
+  updated: 'updated',
+  unchanged: 'unchanged',
+  skipped: 'skipped',
+  not_found: 'notFound',
+  conflict: 'conflicts',
+  ambiguous: 'ambiguous',
+  error: 'errors'
+};
+
+function emptyRunCounters() {
+  return { updated: 0, unchanged: 0, skipped: 0, notFound: 0, conflicts: 0, ambiguous: 0, errors: 0 };
+}
+
+// Counts an item outcome on the run and keeps it as a sync_run_items row.
+// Statuses without a counter (queued, preview) are settled elsewhere.
+function recordOutcome(run, { status, sku, mapping, locationId, quantity, message }) {
+  const counter = OUTCOME_COUNTERS[status];
+  if (!run || !counter) return;
+
+  run.counters[counter] = (run.counters[counter] || 0) + 1;
+  if (!run.runId) return;
+
+  addSyncRunItem(run.runId, {
+    sku,
+    tiny_deposito_nome: mapping?.tiny_deposito_nome,
+    shopify_location_id: locationId ?? mapping?.shopify_location_id,
+    quantity,
+    status,
+    message
+  });
+}
+
+function mergeRunCounters(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    target[key] = (target[key] || 0) + value;
+  }
+}
+
+async function trackRun({ type, trigger, options = null }, task) {
+  const run = { runId: createSyncRun({ type, trigger, options }), counters: emptyRunCounters() };
+  const startedAt = Date.now();
+
+  try {
+    const result = await task(run);
+    finishSyncRun(run.runId, {
+      status: result?.ok === false ? 'failed' : 'completed',
+      counters: run.counters,
+      durationMs: Date.now() - startedAt,
+      error: result?.error
+    });
+    return { ...result, runId: run.runId };
+  } catch (error) {
+    finishSyncRun(run.runId, {
+      status: 'failed',
+      counters: run.counters,
+      durationMs: Date.now() - startedAt,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+function markPushed({ sku, locationId, quantity }) {
+  if (!sku) return;
+  saveInventorySnapshot({ sku, shopify_location_id: locationId, quantity });
+}
+
+function isCompareMode() {
+  return getConfigValue('shopify_write_mode', 'overwrite') === 'compare';
+}
+
+function getCompareRetries() {
+  const configured = Number(getConfigValue('shopify_compare_retries', String(DEFAULT_COMPARE_RETRIES)));
+  if (!Number.isInteger(configured) || configured < 0) return DEFAULT_COMPARE_RETRIES;
+  return configured;
+}
+
+function logAmbiguousSku(side, sku, candidates) {
+  logAndStore({
+    type: 'duplicate_sku',
+    status: 'ambiguous',
+    message: `SKU ${sku} duplicado ${side === 'tiny' ? 'na Tiny' : 'no Shopify'}; escrita recusada`,
+    context: { side, sku, candidates }
+  });
+}
+
+function outcomeMessages(outcome) {
+  return [...outcome.generalErrors, ...[...outcome.itemErrors.values()].flat()].join('; ');
+}
+
+// Shopify changed between our read and our write: re-read Tiny and Shopify and try
+// again a bounded number of times before giving up with a conflict.
+async function resolveCompareConflict(item, reason) {
+  let quantity = item.quantity;
+
+  for (let attempt = 1; attempt <= getCompareRetries(); attempt += 1) {
+    const fresh = await rereadTinyQuantity(item);
+    if (fresh === null) break;
+    quantity = fresh;
+
+    const compareQuantity = await getInventoryQuantity({
+      inventoryItemId: item.inventoryItemId,
+      locationId: item.locationId
+    });
+    const outcome = await setInventoryQuantities({
+      reason,
+      quantities: [
+        { inventoryItemId: item.inventoryItemId, locationId: item.locationId, quantity, compareQuantity }
+      ]
+    });
+
+    if (outcome.applied) {
+      markPushed({ ...item, quantity });
+      return { status: 'updated', quantity };
+    }
+    if (!outcome.staleItems.size) {
+      throw new Error(outcomeMessages(outcome));
+    }
+  }
+
+  logAndStore({
+    type: 'inventory_conflict',
+    status: 'conflict',
+    message: 'Quantidade no Shopify mudou durante a escrita; tentativas esgotadas',
+    context: { sku: item.sku, shopifyLocationId: item.locationId, quantity, source: item.source }
+  });
+  return { status: 'conflict', quantity };
+}
+
+// Writes one item outside a batch. A stale compare goes through the conflict loop; an
+// inventory item that no longer exists gets the SKU resolved again, once.
+async function writeSingleItem(item, reason, { heal = true } = {}) {
+  const outcome = await setInventoryQuantities({
+    reason,
+    quantities: [
+      {
+        inventoryItemId: item.inventoryItemId,
+        locationId: item.locationId,
+        quantity: item.quantity,
+        compareQuantity: item.compareQuantity
+      }
+    ]
+  });
+
+  if (outcome.applied) {
+    markPushed(item);
+    return { ...item, status: 'updated' };
+  }
+  if (outcome.staleItems.size) {
+    const resolved = await resolveCompareConflict(item, reason);
+    return { ...item, status: resolved.status, quantity: resolved.quantity };
+  }
+  if (heal && outcome.missingItems.size) {
+    return healInventoryItem(item, reason, outcomeMessages(outcome));
+  }
+  throw new Error(outcomeMessages(outcome));
+}
+
+// The variant was deleted and recreated: evict the dead inventory item from sku_cache
+// and retry with whatever Shopify resolves for the SKU now.
+async function healInventoryItem(item, reason, message) {
+  deleteSkuCache(item.sku);
+  const inventory = await findInventoryItemBySku(item.sku);
+  logAndStore({
+    type: 'sku_cache',
+    status: 'warning',
+    message: inventory
+      ? 'Inventory item do cache não existe mais; SKU resolvido de novo'
+      : 'Inventory item do cache não existe mais e o SKU não está no Shopify',
+    context: { sku: item.sku, previous: item.inventoryItemId, current: inventory?.inventoryItemId ?? null }
+  });
+
+  if (!inventory) {
+    return { ...item, status: 'not_found', reason: 'sku_not_found_on_shopify' };
+  }
+  if (inventory.ambiguous) {
+    logAmbiguousSku('shopify', item.sku, inventory.candidates);
+    return { ...item, status: 'ambiguous', reason: 'sku_duplicated_on_shopify' };
+  }
+  if (inventory.inventoryItemId === item.inventoryItemId) {
+    throw new Error(message);
+  }
+
+  const fresh = { ...item, inventoryItemId: inventory.inventoryItemId };
+  if (item.compareQuantity !== undefined) {
+    fresh.compareQuantity = await getInventoryQuantity({
+      inventoryItemId: fresh.inventoryItemId,
+      locationId: fresh.locationId
+    });
+  }
+  return writeSingleItem(fresh, reason, { heal: false });
+}
+
+function getBatchSize() {
+  const configured = Number(getConfigValue('shopify_batch_size', String(DEFAULT_BATCH_SIZE)));
+  if (!Number.isInteger(configured) || configured <= 0) return DEFAULT_BATCH_SIZE;
+  return Math.min(configured, MAX_BATCH_SIZE);
+}
+
+// Collects quantity writes and flushes them as one inventorySetQuantities call per batch.
+// onResult(item, { status, error }) is called once per item after its batch is flushed.
+function createQuantityBatch({ reason = 'correction', onResult }) {
+  const pending = [];
+  const batchSize = getBatchSize();
+
+  async function submit(items) {
+    let outcome = null;
+    try {
+      outcome = await setInventoryQuantities({
+        reason,
+        quantities: items.map((item) => ({
+          inventoryItemId: item.inventoryItemId,
+          locationId: item.locationId,
+          quantity: item.quantity,
+          compareQuantity: item.compareQuantity
+        }))
+      });
+    } catch (error) {
+      items.forEach((item) => onResult(item, { status: 'error', error: error.message }));
+      return;
+    }
+
+    if (outcome.applied) {
+      items.forEach((item) => {
+        markPushed(item);
+        onResult(item, { status: 'updated' });
+      });
+      return;
+    }
+
+    if (outcome.generalErrors.length || !outcome.itemErrors.size) {
+      const message = outcome.generalErrors.join('; ') || 'Erro Shopify sem detalhes';
+      items.forEach((item) => onResult(item, { status: 'error', error: message }));
+      return;
+    }
+
+    const retry = [];
+    const stale = [];
+    const missing = [];
+    items.forEach((item, index) => {
+      const errors = outcome.itemErrors.get(index);
+      if (outcome.staleItems.has(index)) {
+        stale.push(item);
+      } else if (outcome.missingItems.has(index)) {
+        missing.push({ item, message: errors.join('; ') });
+      } else if (errors) {
+        onResult(item, { status: 'error', error: errors.join('; ') });
+      } else {
+        retry.push(item);
+      }
+    });
+
+    for (const item of stale) {
+      try {
+        const resolved = await resolveCompareConflict(item, reason);
+        onResult({ ...item, quantity: resolved.quantity }, { status: resolved.status });
+      } catch (error) {
+        onResult(item, { status: 'error', error: error.message });
+      }
+    }
+
+    for (const { item, message } of missing) {
+      try {
+        const result = await healInventoryItem(item, reason, message);
+        onResult(result, { status: result.status, error: result.reason });
+      } catch (error) {
+        onResult(item, { status: 'error', error: error.message });
+      }
+    }
+
+    // Nothing was written, so resubmit the items that had no errors of their own.
+    if (retry.length) {
+      await submit(retry);
+    }
+  }
+
+  async function flush() {
+    if (!pending.length) return;
+    const items = pending.splice(0, pending.length);
+    // A mutation compares every item or none, so items without a quantity to compare go apart.
+    const compared = items.filter(hasCompareQuantity);
+    const uncompared = items.filter((item) => !hasCompareQuantity(item));
+    if (compared.length) await submit(compared);
+    if (uncompared.length) await submit(uncompared);
+  }
+
+  return {
+    async add(item) {
+      // The same item/location can only appear once per mutation; the latest quantity wins.
+      const existing = pending.findIndex(
+        (entry) => entry.inventoryItemId === item.inventoryItemId && entry.locationId === item.locationId
+      );
+      if (existing !== -1) {
+        pending[existing] = item;
+        return;
+      }
+
+      pending.push(item);
+      if (pending.length >= batchSize) {
+        await flush();
+      }
+    },
+    flush
+  };
+}
+
 function normalizeKey(value) {
   return String(value || '').trim().toLowerCase();
 }
 
+function normalizeSku(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
 function parseTinyDateToMs(value) {
   const raw = String(value || '').trim();
   if (!raw) return 0;
@@ -52,85 +398,239 @@ function findMatchingDeposit(mapping, deposits = []) {
   const mappedName = normalizeKey(mapping.tiny_deposito_nome);
   const mappedId = normalizeKey(mapping.tiny_deposito_id);
 
-  // Primary match: depósito name (Tiny v2 usually provides only name).
-  if (mappedName) {
-    const byName = deposits.find((d) => normalizeKey(d.depositoNome) === mappedName);
-    if (byName) return byName;
-  }
-
-  // Fallback by id if available.
+  // Primary match: depósito id. Tiny v3 always sends it; v2 mappings are keyed by name
+  // and v2 usually sends no id, so they fall through to the name.
   if (mappedId) {
     const byId = deposits.find((d) => normalizeKey(d.depositoId) === mappedId);
     if (byId) return byId;
   }
 
+  if (mappedName) {
+    const byName = deposits.find((d) => normalizeKey(d.depositoNome) === mappedName);
+    if (byName) return byName;
+  }
+
   return null;
 }
 
-function findMappingForStockUpdate(update, mappings) {
-  const byName = mappings.find(
-    (mapping) =>
-      normalizeKey(mapping.tiny_deposito_nome) &&
-      normalizeKey(mapping.tiny_deposito_nome) === normalizeKey(update.depositoNome)
-  );
-  if (byName) return byName;
+// The mapping's own deposit first, then the extra deposits of a mapping group.
+function mappingSources(mapping) {
+  return [mapping, ...(mapping.extra_deposits || [])];
+}
 
-  const byId = mappings.find(
-    (mapping) =>
-      normalizeKey(mapping.tiny_deposito_id) &&
-      normalizeKey(mapping.tiny_deposito_id) === normalizeKey(update.depositoId)
+function isGroupedMapping(mapping) {
+  return mappingSources(mapping).length > 1;
+}
+
+function sourceMatchesDeposit(source, { depositoId, depositoNome }) {
+  const sourceId = normalizeKey(source.tiny_deposito_id);
+  if (sourceId && sourceId === normalizeKey(depositoId)) return true;
+
+  const sourceName = normalizeKey(source.tiny_deposito_nome);
+  return Boolean(sourceName) && sourceName === normalizeKey(depositoNome);
+}
+
+// Every mapping fed by the updated deposit, either directly or as part of a group.
+function findMappingsForStockUpdate(update, mappings) {
+  return mappings.filter((mapping) =>
+    mappingSources(mapping).some((source) => sourceMatchesDeposit(source, update))
   );
-  return byId || null;
+}
+
+// A mapping feeds its own location plus any extra targets. Each target is synced as a
+// mapping view for a single location, carrying what it needs to compute its share.
+function expandMappingTargets(mapping) {
+  const targets = [
+    {
+      shopify_location_id: mapping.shopify_location_id,
+      shopify_location_name: mapping.shopify_location_name,
+      percentage: mapping.target_percentage,
+      max_quantity: mapping.target_max
+    },
+    ...(mapping.extra_targets || [])
+  ];
+
+  // Priority fill: each target starts after the capacity of the ones before it.
+  let offset = 0;
+  return targets.map((target) => {
+    const view = {
+      ...mapping,
+      shopify_location_id: String(target.shopify_location_id),
+      shopify_location_name: target.shopify_location_name || String(target.shopify_location_id),
+      target_percentage: target.percentage ?? null,
+      target_max: target.max_quantity ?? null,
+      target_offset: offset
+    };
+    offset += target.max_quantity === null || target.max_quantity === undefined
+      ? Infinity
+      : safeNumber(target.max_quantity);
+    return view;
+  });
+}
+
+function listActiveTargets() {
+  return listActiveMappings().flatMap(expandMappingTargets);
+}
+
+// A group can only be summed when every one of its deposits shows up in the product's stock.
+export function hasAllSources(mapping, stock) {
+  return mappingSources(mapping).every((source) => findMatchingDeposit(source, stock.deposits));
+}
+
+export function aggregateSources(mapping, stock) {
+  const deposits = mappingSources(mapping)
+    .map((source) => findMatchingDeposit(source, stock.deposits))
+    .filter(Boolean);
+  if (!deposits.length) return null;
+
+  const total = deposits.reduce((sum, deposit) => sum + safeNumber(deposit.saldo), 0);
+  if (mapping.aggregation !== 'sum_minus_reserved') return total;
+
+  // Prefer per-deposit reservations; Tiny v2 often reports them only for the whole product.
+  const reserved = deposits.some((deposit) => deposit.saldoReservado !== null && deposit.saldoReservado !== undefined)
+    ? deposits.reduce((sum, deposit) => sum + safeNumber(deposit.saldoReservado), 0)
+    : safeNumber(stock.saldoReservado);
+  return total - reserved;
+}
+
+// Share of the mapping's total that goes to the view's location.
+export function allocateQuantity(mapping, total) {
+  const available = Math.max(0, safeNumber(total));
+
+  if (mapping.allocation === 'percentage') {
+    return Math.floor((available * safeNumber(mapping.target_percentage ?? 100)) / 100);
+  }
+
+  if (mapping.allocation === 'priority') {
+    const remaining = Math.max(0, available - (mapping.target_offset || 0));
+    if (mapping.target_max === null || mapping.target_max === undefined) return remaining;
+    return Math.min(remaining, safeNumber(mapping.target_max));
+  }
+
+  return available;
+}
+
+// Quantity a mapping view should publish for a product, or null when none of its deposits is
+// present. A group missing any of its deposits is null too: a partial sum would understate it.
+function quantityForMapping(mapping, stock) {
+  if (isGroupedMapping(mapping) && !hasAllSources(mapping, stock)) return null;
+  const total = aggregateSources(mapping, stock);
+  return total === null ? null : allocateQuantity(mapping, total);
+}
+
+// A single deposit without a balance row holds zero stock; an incomplete group stays null.
+function stockQuantityForMapping(mapping, stock) {
+  const quantity = quantityForMapping(mapping, stock);
+  return quantity === null && !isGroupedMapping(mapping) ? 0 : quantity;
+}
+
+function missingQuantityReason(mapping) {
+  return isGroupedMapping(mapping) ? 'group_source_not_found' : 'deposit_not_present';
+}
+
+// Safety stock: subtract the buffer, apply the cap and never go below zero. A SKU rule
+// overrides the mapping's buffer/cap field by field.
+export function applyStockRules({ sku, quantity, mapping }) {
+  const rule = sku && mapping?.id ? getSkuStockRule(sku, mapping.id) : null;
+  const buffer = safeNumber(rule?.stock_buffer ?? mapping?.stock_buffer ?? 0);
+  const max = rule?.stock_max ?? mapping?.stock_max ?? null;
+
+  let result = safeNumber(quantity) - buffer;
+  if (max !== null && max !== undefined) {
+    result = Math.min(result, safeNumber(max));
+  }
+  return Math.max(0, result);
+}
+
+async function rereadTinyQuantity({ productId, sku, mapping }) {
+  if (!mapping) return null;
+
+  const id = productId || (await resolveTinyProductBySku(sku))?.id;
+  if (!id) return null;
+
+  const stock = await getTinyProductStock(id);
+  const quantity = stockQuantityForMapping(mapping, stock);
+  return quantity === null ? null : applyStockRules({ sku, quantity, mapping });
 }
 
 async function syncSkuAcrossMappings(
   sku,
   mappings,
-  { reason = 'correction', source = 'sku_sync', productId = null } = {}
+  { reason = 'correction', source = 'sku_sync', productId = null, run = null } = {}
 ) {
+  const local = { runId: run?.runId, counters: emptyRunCounters() };
+  const finish = (extra) => {
+    if (run) mergeRunCounters(run.counters, local.counters);
+    return { ok: true, ...local.counters, ...extra };
+  };
+  const skipAll = (message, status = 'skipped') => {
+    for (const mapping of mappings) {
+      recordOutcome(local, { status, sku, mapping, message });
+    }
+    return finish({ reason: message });
+  };
+
   if (!sku) {
-    return { ok: true, updated: 0, skipped: mappings.length, notFound: 0, reason: 'sku_missing' };
+    return skipAll('sku_missing');
   }
 
   let tinyProduct = null;
+  let stock = null;
   if (productId) {
     tinyProduct = { id: String(productId), sku };
   } else {
-    tinyProduct = await findTinyProductBySku(sku);
+    tinyProduct = await resolveTinyProductBySku(sku);
+  }
+
+  if (tinyProduct?.id) {
+    stock = await getTinyProductStock(tinyProduct.id);
+    // The product's SKU changed in Tiny since it was indexed: drop the entry and search again.
+    if (
+      tinyProduct.source === 'index' &&
+      normalizeSku(stock.sku) !== normalizeSku(tinyProduct.sku || tinyProduct.codigo)
+    ) {
+      deleteTinyProducts([tinyProduct.id]);
+      tinyProduct = await resolveTinyProductBySku(sku);
+      stock = tinyProduct?.id ? await getTinyProductStock(tinyProduct.id) : null;
+    }
+  }
+
+  if (tinyProduct?.ambiguous) {
+    logAmbiguousSku('tiny', sku, tinyProduct.candidates);
+    return skipAll('sku_duplicated_on_tiny', 'ambiguous');
   }
 
   if (!tinyProduct?.id) {
-    return { ok: true, updated: 0, skipped: mappings.length, notFound: 0, reason: 'tiny_sku_not_found' };
+    return skipAll('tiny_sku_not_found');
   }
 
-  const stock = await getTinyProductStock(tinyProduct.id);
   const effectiveSku = stock.sku || sku;
 
-  let updated = 0;
-  let skipped = 0;
-  let notFound = 0;
-
   for (const mapping of mappings) {
     try {
-      const deposit = findMatchingDeposit(mapping, stock.deposits);
-      if (!deposit) {
-        skipped += 1;
+      const quantity = quantityForMapping(mapping, stock);
+      if (quantity === null) {
+        recordOutcome(local, {
+          status: 'skipped',
+          sku: effectiveSku,
+          mapping,
+          message: missingQuantityReason(mapping)
+        });
         continue;
       }
 
       const result = await updateSkuOnMapping({
         sku: effectiveSku,
-        quantity: safeNumber(deposit.saldo),
+        quantity,
         mapping,
         reason,
-        source
+        source,
+        productId: tinyProduct.id
       });
 
-      if (result.status === 'updated') updated += 1;
-      if (result.status === 'not_found') notFound += 1;
-      if (result.status === 'skipped') skipped += 1;
+      recordOutcome(local, { ...result, sku: effectiveSku, mapping, message: result.reason });
     } catch (error) {
-      skipped += 1;
+      recordOutcome(local, { status: 'error', sku: effectiveSku, mapping, message: error.message });
       logAndStore({
         type: 'sku_sync_item',
         status: 'error',
@@ -140,81 +640,609 @@ async function syncSkuAcrossMappings(
     }
   }
 
-  return { ok: true, updated, skipped, notFound, sku: effectiveSku, productId: tinyProduct.id };
+  return finish({ sku: effectiveSku, productId: tinyProduct.id });
 }
 
-async function updateSkuOnMapping({ sku, quantity, mapping, reason, source }) {
-  if (!sku) {
-    return { status: 'skipped', reason: 'sku_missing' };
+async function updateSkuOnMapping({
+  sku,
+  quantity,
+  mapping,
+  reason,
+  source,
+  productId = null,
+  dryRun = false,
+  batch = null,
+  force = false
+}) {
+  if (!sku) {
+    return { status: 'skipped', reason: 'sku_missing' };
+  }
+
+  const tinyQuantity = quantity;
+  quantity = applyStockRules({ sku, quantity, mapping });
+
+  // Skip writes whose quantity matches the last one we pushed to this location.
+  if (!dryRun && !force) {
+    const snapshot = getInventorySnapshot(sku, mapping.shopify_location_id);
+    if (snapshot && Number(snapshot.quantity) === Number(quantity)) {
+      return {
+        status: 'unchanged',
+        sku,
+        quantity,
+        locationId: mapping.shopify_location_id,
+        source,
+        mapping
+      };
+    }
+  }
+
+  const inventory = await findInventoryItemBySku(sku);
+  if (!inventory) {
+    return { status: 'not_found', reason: 'sku_not_found_on_shopify' };
+  }
+  if (inventory.ambiguous) {
+    logAmbiguousSku('shopify', sku, inventory.candidates);
+    return { status: 'ambiguous', reason: 'sku_duplicated_on_shopify' };
+  }
+
+  const compare = !dryRun && isCompareMode();
+  let shopifyQuantity;
+  if (dryRun || compare) {
+    shopifyQuantity = await getInventoryQuantity({
+      inventoryItemId: inventory.inventoryItemId,
+      locationId: mapping.shopify_location_id
+    });
+  }
+
+  if (dryRun) {
+    return {
+      status: 'preview',
+      sku,
+      quantity,
+      tinyQuantity,
+      shopifyQuantity,
+      delta: quantity - (shopifyQuantity ?? 0),
+      inventoryItemId: inventory.inventoryItemId,
+      locationId: mapping.shopify_location_id,
+      source,
+      mapping
+    };
+  }
+
+  const item = {
+    sku,
+    quantity,
+    inventoryItemId: inventory.inventoryItemId,
+    locationId: mapping.shopify_location_id,
+    productId,
+    source,
+    mapping
+  };
+  if (compare && shopifyQuantity !== null) {
+    item.compareQuantity = shopifyQuantity;
+  }
+
+  if (batch) {
+    await batch.add(item);
+    return { status: 'queued', ...item };
+  }
+
+  return writeSingleItem(item, reason);
+}
+
+async function syncSingleProductForMapping(product, mapping, options = {}) {
+  const tinyStock = options.stock ?? await getTinyProductStock(product.id);
+  const quantity = quantityForMapping(mapping, tinyStock);
+  if (quantity === null) {
+    return { status: 'skipped', reason: missingQuantityReason(mapping) };
+  }
+
+  const sku = tinyStock.sku || product.sku;
+
+  return updateSkuOnMapping({
+    sku,
+    quantity,
+    mapping,
+    reason: options.reason || 'correction',
+    source: options.source || 'full_sync',
+    productId: product.id,
+    dryRun: options.dryRun,
+    batch: options.batch,
+    force: options.force
+  });
+}
+
+const FULL_SYNC_COUNTERS = { ...emptyRunCounters(), previewed: 0, changed: 0 };
+
+function buildFullSyncScope({ skus, pesquisa, namePrefix }) {
+  return {
+    skus: skus?.length ? new Map(skus.map((sku) => [normalizeSku(sku), sku])) : null,
+    pesquisa: pesquisa || '',
+    namePrefix: String(namePrefix || '').trim().toLowerCase()
+  };
+}
+
+// Returns the requested SKU a product satisfies, true when no SKU list was given, or null.
+function matchFullSyncScope(product, scope) {
+  if (scope.namePrefix && !String(product.nome || '').toLowerCase().startsWith(scope.namePrefix)) {
+    return null;
+  }
+  if (!scope.skus) return true;
+
+  for (const key of [normalizeSku(product.sku), normalizeSku(product.codigo)]) {
+    if (key && scope.skus.has(key)) return key;
+  }
+  return null;
+}
+
+async function executeFullSync({
+  runId,
+  trigger,
+  dryRun,
+  force,
+  previewId,
+  startPage,
+  counters,
+  mappings,
+  scope
+}) {
+  const startedAt = Date.now();
+  const rateLimitsBefore = getRateLimitStats();
+  const run = { runId, counters };
+  // Kept in the checkpoint so a resumed SKU-scoped run still knows what it already found.
+  const matchedSkus = new Set(counters.matchedSkus || []);
+  let currentPage = startPage;
+
+  const batch = dryRun
+    ? null
+    : createQuantityBatch({
+        reason: 'correction',
+        onResult: (item, outcome) => {
+          recordOutcome(run, {
+            status: outcome.status,
+            sku: item.sku,
+            mapping: item.mapping,
+            locationId: item.locationId,
+            quantity: item.quantity,
+            message: outcome.error
+          });
+          if (outcome.status !== 'error') return;
+
+          logAndStore({
+            type: 'full_sync_item',
+            status: 'error',
+            message: outcome.error,
+            context: {
+              sku: item.sku,
+              mapping: {
+                tinyDepositoId: item.mapping.tiny_deposito_id,
+                shopifyLocationId: item.locationId
+              }
+            }
+          });
+        }
+      });
+
+  try {
+    while (true) {
+      const { products, totalPages } = await listTinyProducts(currentPage, { pesquisa: scope.pesquisa });
+      if (!products.length) break;
+      saveTinyProducts(products);
+
+      for (const product of products) {
+        const match = matchFullSyncScope(product, scope);
+        if (!match) continue;
+        if (scope.skus) {
+          matchedSkus.add(match);
+          counters.matchedSkus = [...matchedSkus];
+        }
+
+        let stock = null;
+        try {
+          stock = await getTinyProductStock(product.id);
+        } catch (error) {
+          for (const mapping of mappings) {
+            recordOutcome(run, { status: 'error', sku: product.sku, mapping, message: error.message });
+          }
+          logAndStore({
+            type: 'full_sync_item',
+            status: 'error',
+            message: error.message,
+            context: {
+              productId: product.id,
+              sku: product.sku
+            }
+          });
+          continue;
+        }
+
+        for (const mapping of mappings) {
+          try {
+            const result = await syncSingleProductForMapping(product, mapping, {
+              reason: 'correction',
+              source: 'full_sync',
+              stock,
+              dryRun,
+              batch,
+              force
+            });
+            if (result.status === 'preview') {
+              addSyncPreviewItem(previewId, {
+                sku: result.sku,
+                tiny_deposito_nome: mapping.tiny_deposito_nome,
+                shopify_location_id: mapping.shopify_location_id,
+                shopify_location_name: mapping.shopify_location_name,
+                inventory_item_id: result.inventoryItemId,
+                shopify_quantity: result.shopifyQuantity,
+                tiny_quantity: result.quantity,
+                delta: result.delta
+              });
+              counters.previewed += 1;
+              if (result.delta !== 0) counters.changed += 1;
+            }
+            recordOutcome(run, {
+              ...result,
+              sku: result.sku || product.sku,
+              mapping,
+              message: result.reason
+            });
+          } catch (error) {
+            recordOutcome(run, { status: 'error', sku: product.sku, mapping, message: error.message });
+            logAndStore({
+              type: 'full_sync_item',
+              status: 'error',
+              message: error.message,
+              context: {
+                productId: product.id,
+                sku: product.sku,
+                mapping: {
+                  tinyDepositoId: mapping.tiny_deposito_id,
+                  shopifyLocationId: mapping.shopify_location_id
+                }
+              }
+            });
+          }
+        }
+
+        updateSyncRunCounters(runId, counters);
+      }
+
+      await batch?.flush();
+      checkpointSyncRun(runId, { currentPage, totalPages, counters });
+
+      if (currentPage >= totalPages) break;
+      if (scope.skus && matchedSkus.size >= scope.skus.size) break;
+      currentPage += 1;
+    }
+
+    // Only an unfiltered run lists the whole catalog, so only then are missing products gone.
+    if (!scope.pesquisa && !scope.skus) {
+      deleteTinyProductsOlderThan(getSyncRun(runId).started_at);
+    }
+
+    if (scope.skus) {
+      for (const [key, sku] of scope.skus) {
+        if (!matchedSkus.has(key)) {
+          recordOutcome(run, { status: 'not_found', sku, message: 'tiny_sku_not_found' });
+        }
+      }
+    }
+
+    const durationMs = Date.now() - startedAt;
+    const throttle = diffRateLimitStats(rateLimitsBefore);
+    const { updated, unchanged, notFound, skipped, conflicts, ambiguous, errors, previewed, changed } = counters;
+    const summary = dryRun
+      ? {
+          runId,
+          trigger,
+          dryRun,
+          previewId,
+          previewed,
+          changed,
+          notFound,
+          skipped,
+          errors,
+          durationMs,
+          throttle
+        }
+      : {
+          runId,
+          trigger,
+          force,
+          updated,
+          unchanged,
+          notFound,
+          skipped,
+          conflicts,
+          ambiguous,
+          errors,
+          durationMs,
+          throttle
+        };
+
+    if (dryRun) {
+      finishSyncPreview(previewId, { status: 'completed', summary });
+    }
+    finishSyncRun(runId, { status: 'completed', counters: summary, durationMs });
+
+    logAndStore({
+      type: 'full_sync',
+      status: 'ok',
+      message: dryRun
+        ? `Pré-visualização do full sync finalizada em ${durationMs}ms (${changed} divergências)`
+        : `Full sync finalizado em ${durationMs}ms`,
+      context: summary
+    });
+
+    return { ok: true, ...summary };
+  } catch (error) {
+    // Counters after the last checkpoint are dropped: a resume replays that page.
+    if (previewId) {
+      finishSyncPreview(previewId, { status: 'error', summary: { trigger, error: error.message } });
+    }
+    finishSyncRun(runId, {
+      status: 'failed',
+      counters,
+      error: error.message,
+      durationMs: Date.now() - startedAt
+    });
+
+    logAndStore({
+      type: 'full_sync',
+      status: 'error',
+      message: error.message,
+      context: { runId, trigger, dryRun, page: currentPage }
+    });
+
+    return { ok: false, runId, error: error.message };
+  }
+}
+
+function beginFullSync({
+  trigger = 'manual',
+  dryRun = false,
+  force = false,
+  mappingId = null,
+  skus = null,
+  pesquisa = '',
+  namePrefix = '',
+  resumeRunId = null
+} = {}) {
+  if (fullSyncInProgress) {
+    const msg = 'Full sync já em execução';
+    logAndStore({ type: 'full_sync', status: 'skipped', message: msg, context: { trigger, dryRun } });
+    return { ok: false, message: msg };
+  }
+
+  let resumed = null;
+  if (resumeRunId) {
+    resumed = getSyncRun(resumeRunId);
+    if (!resumed || resumed.type !== 'full_sync') {
+      return { ok: false, message: 'Execução de full sync não encontrada' };
+    }
+    if (!['interrupted', 'failed'].includes(resumed.status)) {
+      return { ok: false, message: `Execução em estado ${resumed.status} não pode ser retomada` };
+    }
+  }
+
+  const options = resumed
+    ? resumed.options
+    : { dryRun, force, mappingId, skus: skus?.length ? skus : null, pesquisa, namePrefix };
+  // A resync of one mapping covers all of its target locations and nothing else.
+  const mappings = listActiveTargets().filter(
+    (mapping) => !options.mappingId || mapping.id === Number(options.mappingId)
+  );
+  if (options.mappingId && !mappings.length) {
+    return { ok: false, message: 'Mapeamento não encontrado ou inativo' };
+  }
+  if (!mappings.length) {
+    const msg = 'Nenhum mapeamento ativo para sincronizar';
+    logAndStore({ type: 'full_sync', status: 'skipped', message: msg, context: { trigger, dryRun } });
+    return { ok: true, message: msg, updated: 0 };
+  }
+
+  let runId = null;
+  if (resumed) {
+    runId = resumed.id;
+    reopenSyncRun(runId);
+    logAndStore({
+      type: 'full_sync',
+      status: 'ok',
+      message: `Retomando full sync #${runId} a partir da página ${resumed.current_page + 1}`,
+      context: { runId, trigger, dryRun: Boolean(options.dryRun) }
+    });
+  } else {
+    if (options.dryRun) {
+      options.previewId = createSyncPreview({ trigger });
+    }
+    runId = createSyncRun({ type: 'full_sync', trigger, options });
+  }
+
+  fullSyncInProgress = true;
+  const promise = executeFullSync({
+    runId,
+    trigger: resumed ? resumed.trigger : trigger,
+    dryRun: Boolean(options.dryRun),
+    force: Boolean(options.force),
+    previewId: options.previewId ?? null,
+    startPage: resumed ? resumed.current_page + 1 : 1,
+    counters: { ...FULL_SYNC_COUNTERS, ...(resumed ? resumed.checkpoint : {}) },
+    mappings,
+    scope: buildFullSyncScope(options)
+  }).finally(() => {
+    fullSyncInProgress = false;
+  });
+
+  return { ok: true, runId, promise };
+}
+
+// Starts the run in the background; progress is read back through the run record.
+export function startFullSync(options = {}) {
+  const { promise, ...started } = beginFullSync(options);
+  return started;
+}
+
+export async function runFullSync(options = {}) {
+  const { promise, ...started } = beginFullSync(options);
+  return promise ? promise : started;
+}
+
+export function resumeFullSync({ runId = null, trigger = 'manual' } = {}) {
+  const target = runId ? getSyncRun(runId) : getLatestSyncRun('full_sync');
+  if (!target) {
+    return { ok: false, message: 'Nenhum full sync para retomar' };
+  }
+
+  return startFullSync({ trigger, resumeRunId: target.id });
+}
+
+export function getFullSyncStatus() {
+  return { inProgress: fullSyncInProgress, run: getLatestSyncRun('full_sync') };
+}
+
+function getPreviewMaxAgeMinutes() {
+  const configured = Number(
+    getConfigValue('sync_preview_max_age_minutes', String(DEFAULT_PREVIEW_MAX_AGE_MINUTES))
+  );
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_PREVIEW_MAX_AGE_MINUTES;
+}
+
+export async function applyLatestSyncPreview({ trigger = 'manual' } = {}) {
+  if (fullSyncInProgress) {
+    return { ok: false, message: 'Full sync já em execução' };
+  }
+
+  const preview = getLatestSyncPreview({ onlyChanged: true });
+  if (!preview) {
+    return { ok: false, message: 'Nenhuma pré-visualização disponível' };
+  }
+
+  if (preview.status === 'applied') {
+    return { ok: false, message: 'Pré-visualização já aplicada' };
   }
 
-  const inventory = await findInventoryItemBySku(sku);
-  if (!inventory) {
-    return { status: 'not_found', reason: 'sku_not_found_on_shopify' };
+  // The preview holds quantities as they were read: applied later, they would undo the sales
+  // and receipts made since then.
+  const readAt = Date.parse(`${String(preview.finished_at || preview.created_at).replace(' ', 'T')}Z`);
+  const ageMinutes = Math.floor((Date.now() - readAt) / 60000);
+  const maxAgeMinutes = getPreviewMaxAgeMinutes();
+  if (!(ageMinutes <= maxAgeMinutes)) {
+    return {
+      ok: false,
+      message: `Pré-visualização gerada há ${ageMinutes} min (máx. ${maxAgeMinutes}): gere uma nova antes de aplicar`
+    };
   }
 
-  await setInventoryQuantity({
-    inventoryItemId: inventory.inventoryItemId,
-    locationId: mapping.shopify_location_id,
-    quantity,
-    reason
-  });
+  fullSyncInProgress = true;
+  const compare = isCompareMode();
+  let updated = 0;
+  let conflicts = 0;
+  let errors = 0;
 
-  return {
-    status: 'updated',
-    sku,
-    quantity,
-    inventoryItemId: inventory.inventoryItemId,
-    locationId: mapping.shopify_location_id,
-    source,
-    mapping
-  };
-}
+  try {
+    const batch = createQuantityBatch({
+      reason: 'correction',
+      onResult: (item, outcome) => {
+        if (outcome.status === 'updated') {
+          updated += 1;
+          return;
+        }
+        if (outcome.status === 'conflict') {
+          conflicts += 1;
+          return;
+        }
 
-async function syncSingleProductForMapping(product, mapping, options = {}) {
-  const tinyStock = options.stock ?? await getTinyProductStock(product.id);
-  const deposit = findMatchingDeposit(mapping, tinyStock.deposits);
-  if (!deposit) {
-    return { status: 'skipped', reason: 'deposit_not_present' };
+        errors += 1;
+        logAndStore({
+          type: 'full_sync_item',
+          status: 'error',
+          message: outcome.error,
+          context: {
+            previewId: preview.id,
+            sku: item.sku,
+            shopifyLocationId: item.locationId
+          }
+        });
+      }
+    });
+
+    for (const item of preview.items) {
+      await batch.add({
+        sku: item.sku,
+        inventoryItemId: item.inventory_item_id,
+        locationId: item.shopify_location_id,
+        quantity: item.tiny_quantity,
+        // The preview cannot re-read Tiny, so a stale item ends as a conflict.
+        compareQuantity: compare ? item.shopify_quantity : undefined
+      });
+    }
+    await batch.flush();
+
+    markSyncPreviewApplied(preview.id);
+    logAndStore({
+      type: 'full_sync',
+      status: errors || conflicts ? 'warning' : 'ok',
+      message: `Pré-visualização aplicada (${updated} atualizações)`,
+      context: { trigger, previewId: preview.id, updated, conflicts, errors }
+    });
+
+    return { ok: true, previewId: preview.id, updated, conflicts, errors };
+  } finally {
+    fullSyncInProgress = false;
   }
+}
 
-  const quantity = safeNumber(deposit.saldo);
-  const sku = tinyStock.sku || product.sku;
+function reconciliationKey(locationId, sku) {
+  return `${locationId}|${normalizeSku(sku)}`;
+}
 
-  return updateSkuOnMapping({
-    sku,
-    quantity,
-    mapping,
-    reason: options.reason || 'correction',
-    source: options.source || 'full_sync'
-  });
+// Two mappings may feed the same location: what each one has compared is tracked apart.
+function reconciliationTargetKey(target, sku) {
+  return `${target.id}|${reconciliationKey(target.shopify_location_id, sku)}`;
 }
 
-export async function runFullSync({ trigger = 'manual' } = {}) {
-  if (fullSyncInProgress) {
-    const msg = 'Full sync já em execução';
-    logAndStore({ type: 'full_sync', status: 'skipped', message: msg, context: { trigger } });
-    return { ok: false, message: msg };
+async function loadShopifyLevels(locationIds, summary) {
+  const levels = new Map();
+  for (const locationId of locationIds) {
+    let after = null;
+    do {
+      const page = await listLocationInventoryLevels({ locationId, after });
+      for (const level of page.levels) {
+        if (!level.sku) {
+          summary.shopifyWithoutSku += 1;
+          continue;
+        }
+        levels.set(reconciliationKey(locationId, level.sku), { ...level, locationId });
+      }
+      after = page.hasNextPage ? page.endCursor : null;
+    } while (after);
   }
+  return levels;
+}
 
-  fullSyncInProgress = true;
+// Read-only comparison of what each mapped location shows against what a full sync would push.
+async function executeReconciliation({ reconciliationId, trigger, targets }) {
   const startedAt = Date.now();
+  const summary = {
+    drift: 0,
+    onlyShopify: 0,
+    onlyTiny: 0,
+    matched: 0,
+    tinyWithoutSku: 0,
+    shopifyWithoutSku: 0,
+    errors: 0
+  };
 
   try {
-    const mappings = listActiveMappings();
-    if (!mappings.length) {
-      const msg = 'Nenhum mapeamento ativo para sincronizar';
-      logAndStore({ type: 'full_sync', status: 'skipped', message: msg, context: { trigger } });
-      return { ok: true, message: msg, updated: 0 };
-    }
-
-    let currentPage = 1;
-    let updated = 0;
-    let notFound = 0;
-    let skipped = 0;
+    const shopifyLevels = await loadShopifyLevels(
+      new Set(targets.map((target) => target.shopify_location_id)),
+      summary
+    );
+    const seen = new Set();
 
+    let page = 1;
     while (true) {
-      const { products, totalPages } = await listTinyProducts(currentPage);
+      const { products, totalPages } = await listTinyProducts(page);
       if (!products.length) break;
 
       for (const product of products) {
@@ -222,77 +1250,221 @@ export async function runFullSync({ trigger = 'manual' } = {}) {
         try {
           stock = await getTinyProductStock(product.id);
         } catch (error) {
-          skipped += mappings.length;
+          // Without a Tiny read the SKU is unknown, not missing: keep it out of only_shopify.
+          summary.errors += 1;
+          for (const target of targets) {
+            seen.add(reconciliationTargetKey(target, product.sku));
+          }
           logAndStore({
-            type: 'full_sync_item',
+            type: 'reconciliation_item',
             status: 'error',
             message: error.message,
-            context: {
-              productId: product.id,
-              sku: product.sku
-            }
+            context: { reconciliationId, productId: product.id, sku: product.sku }
           });
           continue;
         }
 
-        for (const mapping of mappings) {
-          try {
-            const result = await syncSingleProductForMapping(product, mapping, {
-              reason: 'correction',
-              source: 'full_sync',
-              stock
-            });
-            if (result.status === 'updated') updated += 1;
-            if (result.status === 'not_found') notFound += 1;
-            if (result.status === 'skipped') skipped += 1;
-          } catch (error) {
-            skipped += 1;
-            logAndStore({
-              type: 'full_sync_item',
-              status: 'error',
-              message: error.message,
-              context: {
-                productId: product.id,
-                sku: product.sku,
-                mapping: {
-                  tinyDepositoId: mapping.tiny_deposito_id,
-                  shopifyLocationId: mapping.shopify_location_id
-                }
-              }
-            });
+        const sku = stock.sku || product.sku;
+        if (!sku) {
+          summary.tinyWithoutSku += 1;
+          continue;
+        }
+
+        for (const target of targets) {
+          const level = shopifyLevels.get(reconciliationKey(target.shopify_location_id, sku));
+          const quantity = quantityForMapping(target, stock);
+          if (quantity === null && !level) continue;
+          seen.add(reconciliationTargetKey(target, sku));
+
+          // A group missing one of its deposits has no total to compare against.
+          if (quantity === null && isGroupedMapping(target)) continue;
+
+          // A deposit without a balance row counts as zero stock.
+          const tinyQuantity = applyStockRules({ sku, quantity: quantity ?? 0, mapping: target });
+          if (level && level.quantity === tinyQuantity) {
+            summary.matched += 1;
+            continue;
           }
+
+          summary[level ? 'drift' : 'onlyTiny'] += 1;
+          addReconciliationItem(reconciliationId, {
+            status: level ? 'drift' : 'only_tiny',
+            sku,
+            mapping_id: target.id,
+            tiny_product_id: product.id,
+            tiny_deposito_nome: target.tiny_deposito_nome,
+            shopify_location_id: target.shopify_location_id,
+            shopify_location_name: target.shopify_location_name,
+            inventory_item_id: level?.inventoryItemId,
+            shopify_quantity: level?.quantity,
+            tiny_quantity: tinyQuantity,
+            delta: level ? tinyQuantity - level.quantity : null
+          });
         }
       }
 
-      if (currentPage >= totalPages) break;
-      currentPage += 1;
+      if (page >= totalPages) break;
+      page += 1;
     }
 
-    const durationMs = Date.now() - startedAt;
-    const summary = { trigger, updated, notFound, skipped, durationMs };
+    const targetsByLocation = new Map();
+    for (const target of targets) {
+      const list = targetsByLocation.get(target.shopify_location_id) || [];
+      targetsByLocation.set(target.shopify_location_id, [...list, target]);
+    }
+    for (const level of shopifyLevels.values()) {
+      for (const target of targetsByLocation.get(level.locationId)) {
+        if (seen.has(reconciliationTargetKey(target, level.sku))) continue;
+
+        summary.onlyShopify += 1;
+        addReconciliationItem(reconciliationId, {
+          status: 'only_shopify',
+          sku: level.sku,
+          mapping_id: target.id,
+          tiny_deposito_nome: target.tiny_deposito_nome,
+          shopify_location_id: level.locationId,
+          shopify_location_name: target.shopify_location_name,
+          inventory_item_id: level.inventoryItemId,
+          shopify_quantity: level.quantity
+        });
+      }
+    }
+
+    summary.durationMs = Date.now() - startedAt;
+    finishReconciliation(reconciliationId, { status: 'completed', summary });
     logAndStore({
-      type: 'full_sync',
+      type: 'reconciliation',
       status: 'ok',
-      message: `Full sync finalizado em ${durationMs}ms`,
-      context: summary
+      message: `Reconciliação finalizada: ${summary.drift} divergências, ${summary.onlyShopify} só no Shopify, ${summary.onlyTiny} só na Tiny`,
+      context: { reconciliationId, trigger, ...summary }
     });
-
-    return { ok: true, ...summary };
+    return { ok: true, reconciliationId, ...summary };
   } catch (error) {
+    finishReconciliation(reconciliationId, { status: 'failed', summary, error: error.message });
     logAndStore({
-      type: 'full_sync',
+      type: 'reconciliation',
       status: 'error',
       message: error.message,
-      context: { trigger }
+      context: { reconciliationId, trigger }
+    });
+    return { ok: false, reconciliationId, error: error.message };
+  }
+}
+
+export function startReconciliation({ trigger = 'manual' } = {}) {
+  if (reconciliationInProgress) {
+    return { ok: false, message: 'Reconciliação já em execução' };
+  }
+
+  const targets = listActiveTargets();
+  if (!targets.length) {
+    return { ok: false, message: 'Nenhum mapeamento ativo para reconciliar' };
+  }
+
+  const reconciliationId = createReconciliation({ trigger });
+  reconciliationInProgress = true;
+  // executeReconciliation records its own failures; this only catches what escapes it.
+  executeReconciliation({ reconciliationId, trigger, targets })
+    .catch((error) => {
+      finishReconciliation(reconciliationId, { status: 'failed', summary: {}, error: error.message });
+      logAndStore({
+        type: 'reconciliation',
+        status: 'error',
+        message: error.message,
+        context: { reconciliationId, trigger }
+      });
+    })
+    .finally(() => {
+      reconciliationInProgress = false;
     });
 
-    return { ok: false, error: error.message };
+  return { ok: true, reconciliationId };
+}
+
+export function getReconciliationStatus() {
+  return { inProgress: reconciliationInProgress, reconciliation: getLatestReconciliation() };
+}
+
+// Pushes the Tiny quantity of the selected drift rows. Rows only present on one side
+// have nothing to write to and are skipped.
+export async function fixReconciliationItems({ ids, trigger = 'manual' }) {
+  if (fullSyncInProgress) {
+    return { ok: false, message: 'Full sync já em execução' };
+  }
+
+  const rows = getReconciliationItems(ids);
+  const targets = listActiveTargets();
+  const compare = isCompareMode();
+  let updated = 0;
+  let conflicts = 0;
+  let errors = 0;
+  let skipped = 0;
+
+  fullSyncInProgress = true;
+  try {
+    const batch = createQuantityBatch({
+      reason: 'correction',
+      onResult: (item, outcome) => {
+        if (outcome.status === 'updated') {
+          markReconciliationItemFixed(item.reconciliationItemId);
+          updated += 1;
+          return;
+        }
+        if (outcome.status === 'conflict') {
+          conflicts += 1;
+          return;
+        }
+
+        errors += 1;
+        logAndStore({
+          type: 'reconciliation_item',
+          status: 'error',
+          message: outcome.error,
+          context: {
+            reconciliationItemId: item.reconciliationItemId,
+            sku: item.sku,
+            shopifyLocationId: item.locationId
+          }
+        });
+      }
+    });
+
+    for (const row of rows) {
+      const mapping = targets.find(
+        (target) => target.id === row.mapping_id && target.shopify_location_id === row.shopify_location_id
+      );
+      if (row.status !== 'drift' || row.fixed_at || !mapping) {
+        skipped += 1;
+        continue;
+      }
+
+      await batch.add({
+        reconciliationItemId: row.id,
+        sku: row.sku,
+        inventoryItemId: row.inventory_item_id,
+        locationId: row.shopify_location_id,
+        quantity: row.tiny_quantity,
+        productId: row.tiny_product_id,
+        source: 'reconciliation',
+        mapping,
+        compareQuantity: compare ? row.shopify_quantity : undefined
+      });
+    }
+    await batch.flush();
+
+    logAndStore({
+      type: 'reconciliation',
+      status: errors || conflicts ? 'warning' : 'ok',
+      message: `Correção da reconciliação aplicada (${updated} atualizações)`,
+      context: { trigger, updated, conflicts, errors, skipped }
+    });
+    return { ok: true, updated, conflicts, errors, skipped };
   } finally {
     fullSyncInProgress = false;
   }
 }
 
-export async function syncFromStockWebhook(payload) {
+async function processStockWebhook(payload, run) {
   const data = payload?.dados || payload || {};
   const depositoId = String(data.idDeposito || data.iddeposito || data.depositoId || '');
   const depositoNome = String(data.nomeDeposito || data.deposito || data.depositoNome || '');
@@ -300,67 +1472,109 @@ export async function syncFromStockWebhook(payload) {
   const idProduto = String(data.idProduto || data.idproduto || '');
   const hasSaldo = data.saldo !== undefined && data.saldo !== null && data.saldo !== '';
 
-  let quantity = hasSaldo ? safeNumber(data.saldo) : null;
-  let mapping = depositoId ? getMappingByDeposito(depositoId) : null;
-  if (!mapping && depositoNome) {
-    mapping = getMappingByDepositoNome(depositoNome);
-  }
+  const payloadQuantity = hasSaldo ? safeNumber(data.saldo) : null;
+  if (idProduto && sku) saveTinyProducts([{ id: idProduto, sku }]);
+  const activeMappings = listActiveTargets();
+  let mappings = findMappingsForStockUpdate({ depositoId, depositoNome }, activeMappings);
 
-  if (!mapping && (depositoId || depositoNome)) {
+  if (!mappings.length && (depositoId || depositoNome)) {
     logAndStore({
       type: 'webhook_stock',
       status: 'skipped',
       message: 'Depósito sem mapeamento',
       context: { depositoId, depositoNome, sku, idProduto }
     });
+    recordOutcome(run, { status: 'skipped', sku, message: 'mapping_not_found' });
     return { ok: true, skipped: true, reason: 'mapping_not_found' };
   }
 
-  if (!mapping && !depositoId) {
-    const mappings = listActiveMappings();
-    if (mappings.length === 1) {
-      mapping = mappings[0];
-    }
+  // With a single mapping configured, every update belongs to it (and to all of its targets).
+  if (!mappings.length && new Set(activeMappings.map((mapping) => mapping.id)).size === 1) {
+    mappings = activeMappings;
   }
 
-  if (!mapping) {
+  if (!mappings.length) {
     logAndStore({
       type: 'webhook_stock',
       status: 'skipped',
       message: 'Não foi possível determinar mapeamento',
       context: { sku, idProduto }
     });
+    recordOutcome(run, { status: 'skipped', sku, message: 'mapping_undetermined' });
     return { ok: true, skipped: true, reason: 'mapping_undetermined' };
   }
 
-  let effectiveSku = sku;
-  if (quantity === null && idProduto) {
-    const stock = await getTinyProductStock(idProduto);
-    const deposit = findMatchingDeposit(mapping, stock.deposits);
-    quantity = deposit ? safeNumber(deposit.saldo) : 0;
-    effectiveSku = effectiveSku || stock.sku;
-  }
+  let stock = null;
+  const results = [];
+  for (const mapping of mappings) {
+    // The payload balance covers a single deposit; a mapping group needs all of its sources.
+    let quantity =
+      isGroupedMapping(mapping) || payloadQuantity === null ? null : allocateQuantity(mapping, payloadQuantity);
+    let effectiveSku = sku;
+    let productId = idProduto;
+    if (quantity === null && !productId && sku) {
+      const product = await resolveTinyProductBySku(sku);
+      if (product?.ambiguous) {
+        logAmbiguousSku('tiny', sku, product.candidates);
+        recordOutcome(run, { status: 'ambiguous', sku, mapping, message: 'sku_duplicated_on_tiny' });
+        results.push({ status: 'ambiguous', reason: 'sku_duplicated_on_tiny' });
+        continue;
+      }
+      productId = product?.id || '';
+    }
 
-  if (quantity === null) {
-    quantity = 0;
-  }
+    if (quantity === null && productId) {
+      stock = stock ?? await getTinyProductStock(productId);
+      effectiveSku = effectiveSku || stock.sku;
+      quantity = stockQuantityForMapping(mapping, stock);
+    }
 
-  const result = await updateSkuOnMapping({
-    sku: effectiveSku,
-    quantity,
-    mapping,
-    reason: 'correction',
-    source: 'tiny_webhook_stock'
-  });
+    // Without a quantity (product not found, or a group missing a source) nothing is written.
+    if (quantity === null) {
+      const reason = isGroupedMapping(mapping) ? 'group_source_not_found' : 'quantity_unknown';
+      logAndStore({
+        type: 'webhook_stock',
+        status: 'skipped',
+        message: 'Webhook estoque sem quantidade a publicar',
+        context: { sku: effectiveSku, idProduto: productId, mapping: mapping.tiny_deposito_id, reason }
+      });
+      recordOutcome(run, { status: 'not_found', sku: effectiveSku, mapping, message: reason });
+      results.push({ status: 'not_found', reason });
+      continue;
+    }
 
-  logAndStore({
-    type: 'webhook_stock',
-    status: result.status === 'updated' ? 'ok' : 'skipped',
-    message: `Webhook estoque processado: ${result.status}`,
-    context: { sku: effectiveSku, quantity, mapping: mapping.tiny_deposito_id }
-  });
+    const result = await updateSkuOnMapping({
+      sku: effectiveSku,
+      quantity,
+      mapping,
+      reason: 'correction',
+      source: 'tiny_webhook_stock',
+      productId
+    });
+    recordOutcome(run, {
+      ...result,
+      sku: effectiveSku,
+      mapping,
+      quantity: result.quantity ?? quantity,
+      message: result.reason
+    });
+
+    logAndStore({
+      type: 'webhook_stock',
+      status: result.status === 'updated' ? 'ok' : result.status === 'conflict' ? 'conflict' : 'skipped',
+      message: `Webhook estoque processado: ${result.status}`,
+      context: { sku: effectiveSku, quantity, mapping: mapping.tiny_deposito_id }
+    });
+    results.push(result);
+  }
+
+  return { ok: true, result: results[0], results };
+}
 
-  return { ok: true, result };
+export async function syncFromStockWebhook(payload) {
+  return trackRun({ type: 'webhook_stock', trigger: 'webhook' }, (run) =>
+    processStockWebhook(payload, run)
+  );
 }
 
 function flattenSkusFromSalesPayload(payload) {
@@ -382,9 +1596,9 @@ function flattenSkusFromSalesPayload(payload) {
   return [...new Set(candidates)];
 }
 
-export async function syncFromSalesWebhook(payload) {
+async function processSalesWebhook(payload, run) {
   const skus = flattenSkusFromSalesPayload(payload);
-  const mappings = listActiveMappings();
+  const mappings = listActiveTargets();
 
   if (!mappings.length) {
     logAndStore({
@@ -406,51 +1620,63 @@ export async function syncFromSalesWebhook(payload) {
     return { ok: true, skipped: true, reason: 'no_sku' };
   }
 
-  let updated = 0;
-  let skipped = 0;
-  let notFound = 0;
   for (const sku of skus) {
-    const result = await syncSkuAcrossMappings(sku, mappings, {
+    await syncSkuAcrossMappings(sku, mappings, {
       reason: 'sale',
-      source: 'webhook_sales'
+      source: 'webhook_sales',
+      run
     });
-    updated += result.updated || 0;
-    skipped += result.skipped || 0;
-    notFound += result.notFound || 0;
   }
 
+  const { updated, skipped, notFound, errors } = run.counters;
   logAndStore({
     type: 'webhook_sales',
     status: 'ok',
     message: `Webhook venda processado (${updated} atualizações)`,
-    context: { skus, skipped, notFound }
+    context: { skus, skipped, notFound, errors }
   });
 
   return { ok: true, updated };
 }
 
+export async function syncFromSalesWebhook(payload) {
+  return trackRun({ type: 'webhook_sales', trigger: 'webhook' }, (run) =>
+    processSalesWebhook(payload, run)
+  );
+}
+
 export async function runSkuSync({ sku, trigger = 'manual_test' } = {}) {
   const normalizedSku = String(sku || '').trim();
   if (!normalizedSku) {
     return { ok: false, error: 'sku é obrigatório' };
   }
 
-  const mappings = listActiveMappings();
+  const mappings = listActiveTargets();
   if (!mappings.length) {
     return { ok: false, error: 'Nenhum mapeamento ativo configurado' };
   }
 
   try {
-    const result = await syncSkuAcrossMappings(normalizedSku, mappings, {
-      reason: 'correction',
-      source: 'manual_sku_test'
-    });
+    const result = await trackRun({ type: 'sku_sync', trigger, options: { sku: normalizedSku } }, (run) =>
+      syncSkuAcrossMappings(normalizedSku, mappings, {
+        reason: 'correction',
+        source: 'manual_sku_test',
+        run
+      })
+    );
 
     logAndStore({
       type: 'sku_test',
       status: 'ok',
       message: `Teste SKU concluído (${result.updated} atualizações)`,
-      context: { sku: normalizedSku, trigger, skipped: result.skipped, notFound: result.notFound }
+      context: {
+        sku: normalizedSku,
+        trigger,
+        runId: result.runId,
+        skipped: result.skipped,
+        notFound: result.notFound,
+        errors: result.errors
+      }
     });
 
     return { ok: true, ...result };
@@ -466,30 +1692,52 @@ export async function runSkuSync({ sku, trigger = 'manual_test' } = {}) {
   }
 }
 
-export async function runIncrementalSync({ trigger = 'scheduler' } = {}) {
-  const mappings = listActiveMappings();
-  if (!mappings.length) {
-    logAndStore({
-      type: 'incremental_sync',
-      status: 'skipped',
-      message: 'Nenhum mapeamento ativo para incremental sync',
-      context: { trigger }
-    });
-    return { ok: true, updated: 0, skipped: 0, notFound: 0 };
-  }
-
+async function processIncrementalSync(trigger, mappings, run) {
+  const rateLimitsBefore = getRateLimitStats();
   const lastProcessedMs = Number(getConfigValue('tiny_stock_updates_last_ms', '0')) || 0;
+  const { counters } = run;
   let page = 1;
   let maxSeenMs = lastProcessedMs;
-  let updated = 0;
-  let skipped = 0;
-  let notFound = 0;
   let processed = 0;
 
+  const batch = createQuantityBatch({
+    reason: 'correction',
+    onResult: (item, outcome) => {
+      recordOutcome(run, {
+        status: outcome.status,
+        sku: item.sku,
+        mapping: item.mapping,
+        locationId: item.locationId,
+        quantity: item.quantity,
+        message: outcome.error
+      });
+      if (outcome.status !== 'error') return;
+
+      logAndStore({
+        type: 'incremental_sync_item',
+        status: 'error',
+        message: outcome.error,
+        context: {
+          sku: item.sku,
+          tinyDepositoNome: item.mapping.tiny_deposito_nome,
+          shopifyLocationId: item.locationId
+        }
+      });
+    }
+  });
+
   try {
     while (true) {
       const { updates, totalPages } = await listTinyStockUpdates(page);
       if (!updates.length) break;
+      saveTinyProducts(
+        updates
+          .filter((update) => update.idProduto && update.sku)
+          .map((update) => ({ id: update.idProduto, sku: update.sku }))
+      );
+
+      // Grouped mappings re-read the product's stock; read it once per page.
+      const stocks = new Map();
 
       for (const update of updates) {
         const updateMs = parseTinyDateToMs(update.dataAtualizacao);
@@ -500,39 +1748,66 @@ export async function runIncrementalSync({ trigger = 'scheduler' } = {}) {
           }
         }
 
-        const mapping = findMappingForStockUpdate(update, mappings);
-        if (!mapping) {
-          skipped += 1;
+        const updateMappings = findMappingsForStockUpdate(update, mappings);
+        if (!updateMappings.length) {
+          recordOutcome(run, { status: 'skipped', sku: update.sku, message: 'mapping_not_found' });
           continue;
         }
 
-        let sku = String(update.sku || '').trim();
-        let quantity =
-          update.saldo === undefined || update.saldo === null || Number.isNaN(Number(update.saldo))
-            ? null
-            : Number(update.saldo);
-
-        if ((!sku || quantity === null) && update.idProduto) {
-          const stock = await getTinyProductStock(update.idProduto);
-          const deposit = findMatchingDeposit(mapping, stock.deposits);
-          sku = sku || stock.sku || '';
-          quantity = deposit ? safeNumber(deposit.saldo) : 0;
-        }
+        for (const mapping of updateMappings) {
+          let sku = String(update.sku || '').trim();
+          // The update carries one deposit's balance; a mapping group needs all of its sources.
+          let quantity =
+            isGroupedMapping(mapping) ||
+            update.saldo === undefined ||
+            update.saldo === null ||
+            Number.isNaN(Number(update.saldo))
+              ? null
+              : allocateQuantity(mapping, Number(update.saldo));
+
+          if ((!sku || quantity === null) && update.idProduto) {
+            if (!stocks.has(update.idProduto)) {
+              stocks.set(update.idProduto, await getTinyProductStock(update.idProduto));
+            }
+            const stock = stocks.get(update.idProduto);
+            sku = sku || stock.sku || '';
+            quantity = stockQuantityForMapping(mapping, stock);
+          }
 
-        const result = await updateSkuOnMapping({
-          sku,
-          quantity: quantity ?? 0,
-          mapping,
-          reason: 'correction',
-          source: 'incremental_sync'
-        });
+          // Without a quantity (no product ID, or a group missing a source) nothing is written.
+          if (quantity === null) {
+            recordOutcome(run, {
+              status: 'not_found',
+              sku,
+              mapping,
+              message: isGroupedMapping(mapping) ? 'group_source_not_found' : 'quantity_unknown'
+            });
+            continue;
+          }
+
+          const result = await updateSkuOnMapping({
+            sku,
+            quantity,
+            mapping,
+            reason: 'correction',
+            source: 'incremental_sync',
+            productId: update.idProduto,
+            batch
+          });
 
-        if (result.status === 'updated') updated += 1;
-        if (result.status === 'not_found') notFound += 1;
-        if (result.status === 'skipped') skipped += 1;
+          recordOutcome(run, {
+            ...result,
+            sku,
+            mapping,
+            quantity: result.quantity ?? quantity,
+            message: result.reason
+          });
+        }
         processed += 1;
       }
 
+      await batch.flush();
+
       if (page >= totalPages) break;
       page += 1;
     }
@@ -541,21 +1816,77 @@ export async function runIncrementalSync({ trigger = 'scheduler' } = {}) {
       setConfigValue('tiny_stock_updates_last_ms', String(maxSeenMs));
     }
 
+    const throttle = diffRateLimitStats(rateLimitsBefore);
+    const { updated, unchanged, skipped, notFound, conflicts, ambiguous, errors } = counters;
     logAndStore({
       type: 'incremental_sync',
       status: 'ok',
       message: `Incremental sync concluído (${updated} atualizações)`,
-      context: { trigger, processed, updated, skipped, notFound, lastProcessedMs, maxSeenMs }
+      context: {
+        trigger,
+        runId: run.runId,
+        processed,
+        updated,
+        unchanged,
+        skipped,
+        notFound,
+        conflicts,
+        ambiguous,
+        errors,
+        lastProcessedMs,
+        maxSeenMs,
+        throttle
+      }
     });
 
-    return { ok: true, processed, updated, skipped, notFound, lastProcessedMs, maxSeenMs };
+    return {
+      ok: true,
+      processed,
+      updated,
+      unchanged,
+      skipped,
+      notFound,
+      conflicts,
+      ambiguous,
+      errors,
+      lastProcessedMs,
+      maxSeenMs,
+      throttle
+    };
   } catch (error) {
     logAndStore({
       type: 'incremental_sync',
       status: 'error',
       message: error.message,
-      context: { trigger, page }
+      context: { trigger, runId: run.runId, page }
     });
     return { ok: false, error: error.message };
   }
 }
+
+export async function runIncrementalSync({ trigger = 'scheduler' } = {}) {
+  const mappings = listActiveTargets();
+  if (!mappings.length) {
+    logAndStore({
+      type: 'incremental_sync',
+      status: 'skipped',
+      message: 'Nenhum mapeamento ativo para incremental sync',
+      context: { trigger }
+    });
+    return { ok: true, updated: 0, skipped: 0, notFound: 0 };
+  }
+
+  if (!tinySupportsStockUpdates()) {
+    logAndStore({
+      type: 'incremental_sync',
+      status: 'skipped',
+      message: 'Tiny API v3 não tem lista de atualizações de estoque: use os webhooks e o full sync',
+      context: { trigger }
+    });
+    return { ok: true, skipped: true, reason: 'stock_updates_unsupported' };
+  }
+
+  return trackRun({ type: 'incremental_sync', trigger }, (run) =>
+    processIncrementalSync(trigger, mappings, run)
+  );
+}
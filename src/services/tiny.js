@@ -1,139 +1,55 @@
 import { env } from '../lib/env.js';
-import { getConfigValue } from '../lib/db.js';
+import { deleteTinyProducts, findTinyProductsBySku, getConfigValue, saveTinyProducts } from '../lib/db.js';
+import * as tinyV2 from './tiny/v2.js';
+import * as tinyV3 from './tiny/v3.js';
 
-const TINY_API_BASE = 'https://api.tiny.com.br/api2';
+const TINY_PROVIDERS = { v2: tinyV2, v3: tinyV3 };
 
-function assertTinyConfigured() {
-  if (!getTinyToken()) {
-    throw new Error('TINY_API_TOKEN não configurado');
-  }
+// The sync engine talks to this module only; tiny_api_version picks the API behind it.
+export function getTinyApiVersion() {
+  const version = getConfigValue('tiny_api_version', env.tiny.apiVersion);
+  return TINY_PROVIDERS[version] ? version : 'v2';
 }
 
-function getTinyToken() {
-  return getConfigValue('tiny_api_token', env.tiny.token);
+function getTinyProvider() {
+  return TINY_PROVIDERS[getTinyApiVersion()];
 }
 
-function getTinyFormat() {
-  return getConfigValue('tiny_api_format', env.tiny.format);
+export function listTinyProducts(page = 1, options = {}) {
+  return getTinyProvider().listProducts(page, options);
 }
 
-function normalizeTinyResponse(payload) {
-  if (!payload || typeof payload !== 'object') {
-    throw new Error('Resposta inválida da Tiny');
-  }
-
-  const root = payload.retorno || payload;
-  const errors = root.erros || root.error;
-  if (errors) {
-    const errText = Array.isArray(errors)
-      ? errors.map((item) => item.erro || item.msg || JSON.stringify(item)).join('; ')
-      : JSON.stringify(errors);
-    throw new Error(`Erro Tiny: ${errText}`);
-  }
-
-  return root;
+export function getTinyProductStock(productId) {
+  return getTinyProvider().getProductStock(productId);
 }
 
-export async function callTiny(endpoint, data = {}) {
-  assertTinyConfigured();
-
-  const params = new URLSearchParams();
-  params.set('token', getTinyToken());
-  params.set('formato', getTinyFormat());
-
-  for (const [key, value] of Object.entries(data)) {
-    if (value === undefined || value === null) continue;
-    params.set(key, String(value));
-  }
-
-  const response = await fetch(`${TINY_API_BASE}/${endpoint}`, {
-    method: 'POST',
-    headers: {
-      'content-type': 'application/x-www-form-urlencoded'
-    },
-    body: params.toString()
-  });
-
-  if (!response.ok) {
-    throw new Error(`Tiny HTTP ${response.status}`);
-  }
-
-  const payload = await response.json();
-  return normalizeTinyResponse(payload);
+export function updateTinyProductStock(productId, movement) {
+  return getTinyProvider().updateProductStock(productId, movement);
 }
 
-function parseTinyProductRow(row) {
-  const product = row.produto || row;
-  return {
-    id: String(product.id ?? product.idProduto ?? ''),
-    sku: product.sku ? String(product.sku).trim() : '',
-    codigo: product.codigo ? String(product.codigo).trim() : '',
-    nome: product.nome || ''
-  };
+// v3 has no feed of stock changes; the incremental sync checks this before paging.
+export function tinySupportsStockUpdates() {
+  return Boolean(getTinyProvider().listStockUpdates);
 }
 
-export async function listTinyProducts(page = 1) {
-  const root = await callTiny('produtos.pesquisa.php', { pagina: page });
-  const products = Array.isArray(root.produtos) ? root.produtos.map(parseTinyProductRow) : [];
-  return {
-    page,
-    totalPages: Number(root.numero_paginas || root.numeroPaginas || 1),
-    products
-  };
+export async function listTinyStockUpdates(page = 1) {
+  const provider = getTinyProvider();
+  if (!provider.listStockUpdates) {
+    throw new Error(`Tiny API ${getTinyApiVersion()} não oferece a lista de atualizações de estoque`);
+  }
+  return provider.listStockUpdates(page);
 }
 
-function normalizeDeposit(raw) {
-  return {
-    depositoId: String(raw.idDeposito ?? raw.iddeposito ?? raw.id ?? raw.codigo ?? ''),
-    depositoNome: raw.nome || raw.nomeDeposito || raw.deposito || '',
-    saldo: Number(raw.saldo ?? raw.saldoFisico ?? raw.quantidade ?? raw.estoque ?? 0)
-  };
+export function buildTinyAuthorizeUrl(options) {
+  return tinyV3.buildAuthorizeUrl(options);
 }
 
-export async function getTinyProductStock(productId) {
-  const root = await callTiny('produto.obter.estoque.php', { id: productId });
-  const product = root.produto || {};
-
-  const rawDepositos =
-    product.depositos ||
-    product.deposito ||
-    root.depositos ||
-    root.deposito ||
-    [];
-
-  const deposits = (Array.isArray(rawDepositos) ? rawDepositos : [rawDepositos])
-    .filter(Boolean)
-    .map((entry) => normalizeDeposit(entry.deposito || entry));
-
-  return {
-    productId: String(product.id ?? productId),
-    sku: String(product.sku || product.codigo || '').trim(),
-    nome: product.nome || '',
-    deposits
-  };
+export function exchangeTinyAuthorizationCode(options) {
+  return tinyV3.exchangeAuthorizationCode(options);
 }
 
-export async function listTinyStockUpdates(page = 1) {
-  const root = await callTiny('lista.atualizacoes.estoque', { pagina: page });
-  const updates = Array.isArray(root.atualizacoes)
-    ? root.atualizacoes.map((entry) => {
-        const item = entry.atualizacao || entry;
-        return {
-          idProduto: String(item.idProduto || item.idproduto || ''),
-          sku: String(item.sku || '').trim(),
-          saldo: Number(item.saldo || 0),
-          depositoId: String(item.idDeposito || item.iddeposito || ''),
-          depositoNome: item.nomeDeposito || item.deposito || '',
-          dataAtualizacao: item.dataAtualizacao || item.data || ''
-        };
-      })
-    : [];
-
-  return {
-    page,
-    totalPages: Number(root.numero_paginas || root.numeroPaginas || 1),
-    updates
-  };
+export function getTinyOauthStatus() {
+  return { version: getTinyApiVersion(), ...tinyV3.getOauthStatus() };
 }
 
 export async function discoverTinyDeposits(sampleProducts = 150) {
@@ -149,10 +65,12 @@ export async function discoverTinyDeposits(sampleProducts = 150) {
       if (!product.id) continue;
       const stock = await getTinyProductStock(product.id);
       for (const deposit of stock.deposits) {
-        if (!deposit.depositoId) continue;
-        if (!found.has(deposit.depositoId)) {
-          found.set(deposit.depositoId, {
-            id: deposit.depositoId,
+        // Tiny v2 usually sends only the deposit name, which is also what mappings match on.
+        const key = deposit.depositoId || deposit.depositoNome.trim().toLowerCase();
+        if (!key) continue;
+        if (!found.has(key)) {
+          found.set(key, {
+            id: deposit.depositoId || null,
             nome: deposit.depositoNome || `Depósito ${deposit.depositoId}`
           });
         }
@@ -171,23 +89,43 @@ export async function discoverTinyDeposits(sampleProducts = 150) {
   return Array.from(found.values()).sort((a, b) => a.nome.localeCompare(b.nome));
 }
 
+// Returns the product, null, or { ambiguous: true, candidates } when several products
+// share the SKU. The code search may also match fragments, so only exact sku/codigo hits count.
 export async function findTinyProductBySku(sku) {
   if (!sku) return null;
   const needle = String(sku).trim().toLowerCase();
+  const matches = [];
 
   let page = 1;
   while (true) {
-    const { products, totalPages } = await listTinyProducts(page);
-    const matched = products.find((product) => {
+    const { products, totalPages } = await listTinyProducts(page, { codigo: String(sku).trim() });
+    for (const product of products) {
       const productSku = String(product.sku || '').trim().toLowerCase();
       const productCodigo = String(product.codigo || '').trim().toLowerCase();
-      return productSku === needle || productCodigo === needle;
-    });
-    if (matched) return matched;
+      if (productSku === needle || productCodigo === needle) matches.push(product);
+    }
 
     if (page >= totalPages) break;
     page += 1;
   }
 
-  return null;
+  if (matches.length > 1) return { ambiguous: true, candidates: matches };
+  return matches[0] || null;
+}
+
+// Resolves a SKU through the local tiny_products index. The remote search only runs when the
+// index has no single answer, and its exact matches replace what the index held for the SKU.
+export async function resolveTinyProductBySku(sku) {
+  const key = String(sku || '').trim();
+  if (!key) return null;
+
+  const indexed = findTinyProductsBySku(key);
+  if (indexed.length === 1) return { ...indexed[0], source: 'index' };
+
+  const found = await findTinyProductBySku(key);
+  const matches = found?.ambiguous ? found.candidates : found ? [found] : [];
+  const matchedIds = new Set(matches.map((product) => product.id));
+  deleteTinyProducts(indexed.map((product) => product.id).filter((id) => !matchedIds.has(id)));
+  saveTinyProducts(matches);
+  return found;
 }
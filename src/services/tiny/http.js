@@ -0,0 +1,59 @@
+import { getConfigValue } from '../../lib/db.js';
+import { createRateLimiter, parseRetryAfterMs, retryableError } from '../../lib/limiter.js';
+
+const DEFAULT_REQUESTS_PER_MINUTE = 30;
+export const TINY_BLOCKED_WAIT_MS = 60 * 1000;
+
+// Both API versions count against the same account quota, so they share one limiter.
+const tinyLimiter = createRateLimiter('tiny', {
+  requestsPerMinute: () => {
+    const configured = Number(
+      getConfigValue('tiny_rate_limit_per_minute', String(DEFAULT_REQUESTS_PER_MINUTE))
+    );
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_REQUESTS_PER_MINUTE;
+  }
+});
+
+// Network failures, HTTP 429 and 5xx are retried; handleResponse runs inside the retry loop
+// so it can throw retryable errors of its own (v2 reports throttling in the body).
+// A write that is not idempotent is only resent when Tiny refused it (throttling): after a
+// network failure or a 5xx it may have been applied, so the error is flagged uncertain instead.
+export function sendTinyRequest(url, init, handleResponse, { idempotent = true } = {}) {
+  return tinyLimiter.run(async () => {
+    try {
+      return await attemptTinyRequest(url, init, handleResponse);
+    } catch (error) {
+      if (!idempotent && error.retryable && !error.throttled) {
+        error.retryable = false;
+        error.uncertain = true;
+      }
+      throw error;
+    }
+  });
+}
+
+async function attemptTinyRequest(url, init, handleResponse) {
+  await tinyLimiter.acquire();
+
+  let response = null;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    throw retryableError(`Tiny indisponível: ${error.message}`);
+  }
+
+  if (response.status === 429) {
+    throw retryableError('Tiny HTTP 429', {
+      retryAfterMs: parseRetryAfterMs(response.headers.get('retry-after')) ?? TINY_BLOCKED_WAIT_MS,
+      throttled: true
+    });
+  }
+
+  if (response.status >= 500) {
+    throw retryableError(`Tiny HTTP ${response.status}`, {
+      retryAfterMs: parseRetryAfterMs(response.headers.get('retry-after'))
+    });
+  }
+
+  return handleResponse(response);
+}
@@ -0,0 +1,198 @@
+import { env } from '../../lib/env.js';
+import { getConfigValue } from '../../lib/db.js';
+import { retryableError } from '../../lib/limiter.js';
+import { sendTinyRequest, TINY_BLOCKED_WAIT_MS } from './http.js';
+
+const TINY_API_BASE = 'https://api.tiny.com.br/api2';
+// Tiny answers HTTP 200 with codigo_erro 6 when the per-minute quota is exhausted.
+const TINY_BLOCKED_ERROR_CODE = 6;
+// codigo_erro 20 is "A consulta não retornou registros": an empty result, not a failure.
+const TINY_NO_RECORDS_ERROR_CODE = 20;
+
+function getTinyToken() {
+  return getConfigValue('tiny_api_token', env.tiny.token);
+}
+
+function getTinyFormat() {
+  return getConfigValue('tiny_api_format', env.tiny.format);
+}
+
+export function assertConfigured() {
+  if (!getTinyToken()) {
+    throw new Error('TINY_API_TOKEN não configurado');
+  }
+}
+
+function normalizeTinyResponse(payload) {
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('Resposta inválida da Tiny');
+  }
+
+  const root = payload.retorno || payload;
+  if (Number(root.codigo_erro) === TINY_BLOCKED_ERROR_CODE) {
+    throw retryableError('Tiny: limite de requisições excedido', {
+      retryAfterMs: TINY_BLOCKED_WAIT_MS,
+      throttled: true
+    });
+  }
+
+  if (Number(root.codigo_erro) === TINY_NO_RECORDS_ERROR_CODE) {
+    const { erros, ...empty } = root;
+    return empty;
+  }
+
+  const errors = root.erros || root.error;
+  if (errors) {
+    const errText = Array.isArray(errors)
+      ? errors.map((item) => item.erro || item.msg || JSON.stringify(item)).join('; ')
+      : JSON.stringify(errors);
+    throw new Error(`Erro Tiny: ${errText}`);
+  }
+
+  return root;
+}
+
+export async function callTiny(endpoint, data = {}, { idempotent = true } = {}) {
+  assertConfigured();
+
+  const params = new URLSearchParams();
+  params.set('token', getTinyToken());
+  params.set('formato', getTinyFormat());
+
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined || value === null) continue;
+    params.set(key, String(value));
+  }
+
+  const init = {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/x-www-form-urlencoded'
+    },
+    body: params.toString()
+  };
+
+  return sendTinyRequest(
+    `${TINY_API_BASE}/${endpoint}`,
+    init,
+    async (response) => {
+      if (!response.ok) {
+        throw new Error(`Tiny HTTP ${response.status}`);
+      }
+
+      const payload = await response.json();
+      return normalizeTinyResponse(payload);
+    },
+    { idempotent }
+  );
+}
+
+function parseTinyProductRow(row) {
+  const product = row.produto || row;
+  return {
+    id: String(product.id ?? product.idProduto ?? ''),
+    sku: product.sku ? String(product.sku).trim() : '',
+    codigo: product.codigo ? String(product.codigo).trim() : '',
+    nome: product.nome || ''
+  };
+}
+
+// v2 has a single free-text search that covers names and codes alike.
+export async function listProducts(page = 1, { pesquisa = '', codigo = '' } = {}) {
+  const search = codigo || pesquisa;
+  const params = search ? { pagina: page, pesquisa: search } : { pagina: page };
+  const root = await callTiny('produtos.pesquisa.php', params);
+  const products = Array.isArray(root.produtos) ? root.produtos.map(parseTinyProductRow) : [];
+  return {
+    page,
+    totalPages: Number(root.numero_paginas || root.numeroPaginas || 1),
+    products
+  };
+}
+
+function normalizeDeposit(raw) {
+  return {
+    depositoId: String(raw.idDeposito ?? raw.iddeposito ?? raw.id ?? raw.codigo ?? ''),
+    depositoNome: raw.nome || raw.nomeDeposito || raw.deposito || '',
+    saldo: Number(raw.saldo ?? raw.saldoFisico ?? raw.quantidade ?? raw.estoque ?? 0),
+    // Tiny v2 usually reports reservations only per product; null means "not informed".
+    saldoReservado: raw.saldoReservado === undefined ? null : Number(raw.saldoReservado || 0)
+  };
+}
+
+export async function getProductStock(productId) {
+  const root = await callTiny('produto.obter.estoque.php', { id: productId });
+  const product = root.produto || {};
+
+  const rawDepositos =
+    product.depositos ||
+    product.deposito ||
+    root.depositos ||
+    root.deposito ||
+    [];
+
+  const deposits = (Array.isArray(rawDepositos) ? rawDepositos : [rawDepositos])
+    .filter(Boolean)
+    .map((entry) => normalizeDeposit(entry.deposito || entry));
+
+  return {
+    productId: String(product.id ?? productId),
+    sku: String(product.sku || product.codigo || '').trim(),
+    nome: product.nome || '',
+    saldoReservado: Number(product.saldoReservado || 0),
+    deposits
+  };
+}
+
+export async function listStockUpdates(page = 1) {
+  const root = await callTiny('lista.atualizacoes.estoque', { pagina: page });
+  const updates = Array.isArray(root.atualizacoes)
+    ? root.atualizacoes.map((entry) => {
+        const item = entry.atualizacao || entry;
+        return {
+          idProduto: String(item.idProduto || item.idproduto || ''),
+          sku: String(item.sku || '').trim(),
+          saldo: Number(item.saldo || 0),
+          depositoId: String(item.idDeposito || item.iddeposito || ''),
+          depositoNome: item.nomeDeposito || item.deposito || '',
+          dataAtualizacao: item.dataAtualizacao || item.data || ''
+        };
+      })
+    : [];
+
+  return {
+    page,
+    totalPages: Number(root.numero_paginas || root.numeroPaginas || 1),
+    updates
+  };
+}
+
+// tipo: E (entrada), S (saída) or B (balanço). v2 identifies the deposit by its name.
+export async function updateProductStock(productId, { depositoNome, tipo, quantidade, observacoes }) {
+  const estoque = {
+    idProduto: productId,
+    tipo,
+    quantidade,
+    observacoes,
+    ...(depositoNome ? { deposito: depositoNome } : {})
+  };
+  const root = await callTiny(
+    'produto.atualizar.estoque.php',
+    { estoque: JSON.stringify({ estoque }) },
+    { idempotent: false }
+  );
+
+  const registros = Array.isArray(root.registros) ? root.registros : [root.registros].filter(Boolean);
+  const registro = registros.map((entry) => entry.registro || entry)[0] || {};
+  if (registro.status && String(registro.status).toUpperCase() !== 'OK') {
+    const errors = Array.isArray(registro.erros)
+      ? registro.erros.map((item) => item.erro || JSON.stringify(item)).join('; ')
+      : registro.status;
+    throw new Error(`Erro Tiny: ${errors}`);
+  }
+
+  return {
+    movementId: String(registro.idEstoque ?? registro.id ?? ''),
+    saldo: registro.saldo === undefined ? null : Number(registro.saldo)
+  };
+}
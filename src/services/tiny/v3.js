@@ -0,0 +1,240 @@
+import { env } from '../../lib/env.js';
+import { getConfigValue, setConfigValue } from '../../lib/db.js';
+import { sendTinyRequest } from './http.js';
+
+const TINY_API_BASE = 'https://api.tiny.com.br/public-api/v3';
+const TINY_AUTH_BASE = 'https://accounts.tiny.com.br/realms/tiny/protocol/openid-connect';
+const PRODUCTS_PAGE_SIZE = 100;
+// Access tokens are refreshed a little before they expire, so a request never races the expiry.
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+let refreshInFlight = null;
+
+function getOauthClient() {
+  return {
+    clientId: getConfigValue('tiny_client_id', env.tiny.clientId),
+    clientSecret: getConfigValue('tiny_client_secret', env.tiny.clientSecret)
+  };
+}
+
+export function assertConfigured() {
+  if (!getConfigValue('tiny_oauth_refresh_token', '') && !getConfigValue('tiny_oauth_access_token', '')) {
+    throw new Error('Tiny API v3 não conectada: autorize o acesso pelo OAuth');
+  }
+}
+
+export function buildAuthorizeUrl({ redirectUri, state }) {
+  const { clientId, clientSecret } = getOauthClient();
+  if (!clientId) {
+    throw new Error('tiny_client_id não configurado');
+  }
+  if (!clientSecret) {
+    throw new Error('tiny_client_secret não configurado');
+  }
+
+  const params = new URLSearchParams({
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: 'openid',
+    response_type: 'code',
+    state
+  });
+
+  return `${TINY_AUTH_BASE}/auth?${params.toString()}`;
+}
+
+function saveTokens(payload) {
+  const now = Date.now();
+  setConfigValue('tiny_oauth_access_token', payload.access_token);
+  setConfigValue('tiny_oauth_expires_at', String(now + Number(payload.expires_in || 0) * 1000));
+  if (payload.refresh_token) {
+    setConfigValue('tiny_oauth_refresh_token', payload.refresh_token);
+  }
+  if (payload.refresh_expires_in) {
+    setConfigValue('tiny_oauth_refresh_expires_at', String(now + Number(payload.refresh_expires_in) * 1000));
+  }
+}
+
+async function requestToken(grant) {
+  const { clientId, clientSecret } = getOauthClient();
+  const response = await fetch(`${TINY_AUTH_BASE}/token`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ client_id: clientId, client_secret: clientSecret, ...grant }).toString()
+  });
+
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok || !payload.access_token) {
+    throw new Error(`Tiny OAuth: ${payload.error_description || payload.error || `HTTP ${response.status}`}`);
+  }
+
+  saveTokens(payload);
+  return payload;
+}
+
+export function exchangeAuthorizationCode({ code, redirectUri }) {
+  return requestToken({ grant_type: 'authorization_code', code, redirect_uri: redirectUri });
+}
+
+// Concurrent callers share one refresh: the refresh token is single-use.
+export function refreshAccessToken() {
+  if (!refreshInFlight) {
+    const refreshToken = getConfigValue('tiny_oauth_refresh_token', '');
+    refreshInFlight = (
+      refreshToken
+        ? requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken })
+        : Promise.reject(new Error('Tiny API v3 sem refresh token: autorize o acesso pelo OAuth de novo'))
+    ).finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+}
+
+async function getAccessToken() {
+  const token = getConfigValue('tiny_oauth_access_token', '');
+  const expiresAt = Number(getConfigValue('tiny_oauth_expires_at', '0')) || 0;
+  if (token && expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return token;
+  }
+
+  return (await refreshAccessToken()).access_token;
+}
+
+export function getOauthStatus() {
+  const { clientId, clientSecret } = getOauthClient();
+  const expiresAt = Number(getConfigValue('tiny_oauth_expires_at', '0')) || null;
+  const refreshExpiresAt = Number(getConfigValue('tiny_oauth_refresh_expires_at', '0')) || null;
+  return {
+    connected: Boolean(getConfigValue('tiny_oauth_refresh_token', '')),
+    expiresAt: expiresAt && new Date(expiresAt).toISOString(),
+    refreshExpiresAt: refreshExpiresAt && new Date(refreshExpiresAt).toISOString(),
+    hasClientId: Boolean(clientId),
+    hasClientSecret: Boolean(clientSecret)
+  };
+}
+
+async function parseV3Response(response) {
+  if (response.status === 401) {
+    const error = new Error('Tiny HTTP 401: token de acesso inválido ou expirado');
+    error.unauthorized = true;
+    throw error;
+  }
+
+  const payload = await response.json().catch(() => null);
+  if (!response.ok) {
+    const details = Array.isArray(payload?.detalhes)
+      ? payload.detalhes.map((item) => item.mensagem).filter(Boolean).join('; ')
+      : '';
+    const message = payload?.mensagem || `HTTP ${response.status}`;
+    throw new Error(`Erro Tiny: ${message}${details ? ` (${details})` : ''}`);
+  }
+
+  return payload || {};
+}
+
+export async function callTinyV3(
+  method,
+  path,
+  { query = {}, body, idempotent = true } = {},
+  { retried = false } = {}
+) {
+  assertConfigured();
+
+  const url = new URL(`${TINY_API_BASE}${path}`);
+  for (const [key, value] of Object.entries(query)) {
+    if (value === undefined || value === null || value === '') continue;
+    url.searchParams.set(key, String(value));
+  }
+
+  const token = await getAccessToken();
+  const init = {
+    method,
+    headers: {
+      authorization: `Bearer ${token}`,
+      accept: 'application/json',
+      ...(body === undefined ? {} : { 'content-type': 'application/json' })
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  };
+
+  try {
+    return await sendTinyRequest(url.toString(), init, parseV3Response, { idempotent });
+  } catch (error) {
+    // A token revoked or expired before its stated lifetime gets one refresh and one retry.
+    if (!error.unauthorized || retried) throw error;
+    await refreshAccessToken();
+    return callTinyV3(method, path, { query, body, idempotent }, { retried: true });
+  }
+}
+
+function parseProduct(item) {
+  const sku = String(item.sku || item.codigo || '').trim();
+  return {
+    id: String(item.id ?? ''),
+    sku,
+    codigo: sku,
+    nome: item.descricao || item.nome || ''
+  };
+}
+
+// v3 filters names and codes separately: the free-text search maps to the name filter.
+export async function listProducts(page = 1, { pesquisa = '', codigo = '' } = {}) {
+  const root = await callTinyV3('GET', '/produtos', {
+    query: {
+      nome: pesquisa,
+      codigo,
+      limit: PRODUCTS_PAGE_SIZE,
+      offset: (page - 1) * PRODUCTS_PAGE_SIZE
+    }
+  });
+
+  const products = Array.isArray(root.itens) ? root.itens.map(parseProduct) : [];
+  const total = Number(root.paginacao?.total ?? products.length);
+  return {
+    page,
+    totalPages: Math.max(1, Math.ceil(total / PRODUCTS_PAGE_SIZE)),
+    products
+  };
+}
+
+// v3 reports each deposit with its ID, so mappings can match deposits without their names.
+export async function getProductStock(productId) {
+  const root = await callTinyV3('GET', `/estoque/${encodeURIComponent(productId)}`);
+  const deposits = (Array.isArray(root.depositos) ? root.depositos : []).map((deposit) => ({
+    depositoId: String(deposit.id ?? ''),
+    depositoNome: deposit.nome || '',
+    saldo: Number(deposit.saldo ?? 0),
+    saldoReservado: deposit.reservado === undefined ? null : Number(deposit.reservado || 0)
+  }));
+
+  return {
+    productId: String(root.id ?? productId),
+    sku: String(root.codigo || root.sku || '').trim(),
+    nome: root.nome || '',
+    saldoReservado: Number(root.reservado || 0),
+    deposits
+  };
+}
+
+// v3 needs the deposit ID; a mapping saved by name only must be refreshed from the deposit list.
+export async function updateProductStock(productId, { depositoId, tipo, quantidade, observacoes }) {
+  if (!/^\d+$/.test(String(depositoId || ''))) {
+    throw new Error('Tiny API v3 exige o ID do depósito: atualize a lista de depósitos e salve o mapeamento');
+  }
+
+  const root = await callTinyV3('POST', `/estoque/${encodeURIComponent(productId)}`, {
+    body: {
+      deposito: { id: Number(depositoId) },
+      tipo,
+      quantidade,
+      observacoes
+    },
+    idempotent: false
+  });
+
+  return {
+    movementId: String(root.idLancamento ?? root.id ?? ''),
+    saldo: root.saldo === undefined ? null : Number(root.saldo)
+  };
+}
@@ -0,0 +1,110 @@
+import {
+  addLog,
+  addSyncRunItem,
+  createSyncRun,
+  deleteSkuCacheOlderThan,
+  finishSyncRun,
+  getSyncRun,
+  saveSkuCache,
+  updateSyncRunCounters
+} from '../lib/db.js';
+import { listProductVariants } from './shopify.js';
+
+let warmupInProgress = false;
+
+function describeVariant(variant) {
+  return `${variant.title} (${variant.variantId})`;
+}
+
+// Fills sku_cache from the whole variant catalog so syncs stop resolving SKUs one by one.
+// Duplicated SKUs are reported and left out of the cache, so lookups keep going to the API.
+async function executeWarmup(runId, trigger) {
+  const startedAt = Date.now();
+  const counters = { variants: 0, updated: 0, duplicates: 0, skipped: 0, removed: 0 };
+  const bySku = new Map();
+
+  try {
+    let after = null;
+    do {
+      const page = await listProductVariants({ after });
+      for (const variant of page.variants) {
+        counters.variants += 1;
+        if (!variant.sku) {
+          counters.skipped += 1;
+          addSyncRunItem(runId, { sku: '', status: 'sku_missing', message: describeVariant(variant) });
+          continue;
+        }
+        bySku.set(variant.sku, [...(bySku.get(variant.sku) || []), variant]);
+      }
+      updateSyncRunCounters(runId, counters);
+      after = page.hasNextPage ? page.endCursor : null;
+    } while (after);
+
+    for (const [sku, variants] of bySku) {
+      if (variants.length > 1) {
+        counters.duplicates += 1;
+        addSyncRunItem(runId, {
+          sku,
+          status: 'duplicate',
+          message: variants.map(describeVariant).join('; ')
+        });
+        continue;
+      }
+
+      saveSkuCache({
+        sku,
+        shopify_inventory_item_id: variants[0].inventoryItemId,
+        shopify_variant_id: variants[0].variantId,
+        product_title: variants[0].title
+      });
+      counters.updated += 1;
+    }
+
+    // The listing covered the whole catalog: entries it did not refresh point at deleted variants.
+    counters.removed = deleteSkuCacheOlderThan(getSyncRun(runId).started_at);
+
+    const durationMs = Date.now() - startedAt;
+    finishSyncRun(runId, { status: 'completed', counters, durationMs });
+    addLog({
+      type: 'sku_cache_warmup',
+      status: counters.duplicates ? 'warning' : 'ok',
+      message: `Cache de SKUs carregado: ${counters.updated} SKUs, ${counters.duplicates} duplicados, ` +
+        `${counters.skipped} variantes sem SKU`,
+      context: { runId, trigger, ...counters, durationMs }
+    });
+    return { ok: true, runId, ...counters, durationMs };
+  } catch (error) {
+    finishSyncRun(runId, {
+      status: 'failed',
+      counters,
+      error: error.message,
+      durationMs: Date.now() - startedAt
+    });
+    addLog({ type: 'sku_cache_warmup', status: 'error', message: error.message, context: { runId, trigger } });
+    return { ok: false, runId, error: error.message };
+  }
+}
+
+function beginWarmup({ trigger = 'manual' } = {}) {
+  if (warmupInProgress) {
+    return { ok: false, message: 'Carga do cache de SKUs já em execução' };
+  }
+
+  const runId = createSyncRun({ type: 'sku_cache_warmup', trigger });
+  warmupInProgress = true;
+  const promise = executeWarmup(runId, trigger).finally(() => {
+    warmupInProgress = false;
+  });
+
+  return { ok: true, runId, promise };
+}
+
+export function startSkuCacheWarmup(options = {}) {
+  const { promise, ...started } = beginWarmup(options);
+  return started;
+}
+
+export async function runSkuCacheWarmup(options = {}) {
+  const { promise, ...started } = beginWarmup(options);
+  return promise ? promise : started;
+}
@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+
+// The database is opened in the working directory on import.
+process.chdir(mkdtempSync(join(tmpdir(), 'tiny-shopify-test-')));
+const { backoffSeconds } = await import('../src/services/queue.js');
+
+test('backoffSeconds doubles from 30 seconds', () => {
+  assert.equal(backoffSeconds(1), 30);
+  assert.equal(backoffSeconds(2), 60);
+  assert.equal(backoffSeconds(3), 120);
+  assert.equal(backoffSeconds(5), 480);
+});
+
+test('backoffSeconds treats attempts below one as the first', () => {
+  assert.equal(backoffSeconds(0), 30);
+  assert.equal(backoffSeconds(-2), 30);
+});
+
+test('backoffSeconds is capped at one hour', () => {
+  assert.equal(backoffSeconds(8), 3600);
+  assert.equal(backoffSeconds(50), 3600);
+});
@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+// The key is read from the environment when env.js is loaded.
+process.env.CONFIG_ENCRYPTION_KEY = 'test-passphrase';
+const { decryptSecret, encryptSecret, isEncrypted } = await import('../src/lib/secrets.js');
+
+test('encryptSecret round-trips through decryptSecret', () => {
+  const stored = encryptSecret('tiny_api_token', 'abc123');
+  assert.equal(isEncrypted(stored), true);
+  assert.notEqual(stored, 'abc123');
+  assert.equal(decryptSecret('tiny_api_token', stored), 'abc123');
+});
+
+test('encryptSecret uses a new IV on every call', () => {
+  assert.notEqual(encryptSecret('tiny_api_token', 'abc123'), encryptSecret('tiny_api_token', 'abc123'));
+});
+
+test('encryptSecret keeps empty values empty', () => {
+  assert.equal(encryptSecret('tiny_api_token', ''), '');
+});
+
+test('decryptSecret passes plain text through', () => {
+  assert.equal(decryptSecret('tiny_api_token', 'plain'), 'plain');
+});
+
+test('decryptSecret refuses a ciphertext copied onto another key', () => {
+  const stored = encryptSecret('tiny_api_token', 'abc123');
+  assert.throws(() => decryptSecret('shopify_access_token', stored), /não confere/);
+});
+
+test('decryptSecret refuses a tampered ciphertext', () => {
+  const stored = encryptSecret('tiny_api_token', 'abc123');
+  const data = Buffer.from(stored.split(':').pop(), 'base64');
+  data[0] ^= 1;
+  const tampered = `${stored.slice(0, stored.lastIndexOf(':') + 1)}${data.toString('base64')}`;
+  assert.throws(() => decryptSecret('tiny_api_token', tampered), /não confere/);
+});
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+
+// The database is opened in the working directory on import.
+process.chdir(mkdtempSync(join(tmpdir(), 'tiny-shopify-test-')));
+const { upsertSkuStockRule } = await import('../src/lib/db.js');
+const { aggregateSources, allocateQuantity, applyStockRules, hasAllSources } = await import(
+  '../src/services/sync.js'
+);
+
+const group = {
+  tiny_deposito_id: '1',
+  tiny_deposito_nome: 'Matriz',
+  extra_deposits: [{ tiny_deposito_id: '2', tiny_deposito_nome: 'CD Sul' }]
+};
+
+function stockWith(deposits, saldoReservado = null) {
+  return { deposits, saldoReservado };
+}
+
+test('applyStockRules subtracts the mapping buffer and applies its cap', () => {
+  const mapping = { id: 1, stock_buffer: 2, stock_max: 10 };
+  assert.equal(applyStockRules({ sku: 'A1', quantity: 5, mapping }), 3);
+  assert.equal(applyStockRules({ sku: 'A1', quantity: 50, mapping }), 10);
+});
+
+test('applyStockRules never goes below zero', () => {
+  assert.equal(applyStockRules({ sku: 'A1', quantity: 1, mapping: { id: 1, stock_buffer: 5 } }), 0);
+  assert.equal(applyStockRules({ sku: 'A1', quantity: -3, mapping: { id: 1 } }), 0);
+});
+
+test('applyStockRules lets a SKU rule override the mapping field by field', () => {
+  const mapping = { id: 7, stock_buffer: 2, stock_max: 10 };
+  upsertSkuStockRule({ sku: 'RULE-1', mapping_id: 7, stock_buffer: 0 });
+  assert.equal(applyStockRules({ sku: 'RULE-1', quantity: 5, mapping }), 5);
+  assert.equal(applyStockRules({ sku: 'RULE-1', quantity: 50, mapping }), 10);
+});
+
+test('applyStockRules prefers the mapping rule over the global SKU rule', () => {
+  upsertSkuStockRule({ sku: 'RULE-2', mapping_id: 0, stock_buffer: 4 });
+  upsertSkuStockRule({ sku: 'RULE-2', mapping_id: 8, stock_buffer: 1 });
+  assert.equal(applyStockRules({ sku: 'RULE-2', quantity: 10, mapping: { id: 8 } }), 9);
+  assert.equal(applyStockRules({ sku: 'RULE-2', quantity: 10, mapping: { id: 9 } }), 6);
+});
+
+test('hasAllSources requires every deposit of a group', () => {
+  const both = stockWith([
+    { depositoId: '1', depositoNome: 'Matriz', saldo: 4 },
+    { depositoId: '2', depositoNome: 'CD Sul', saldo: 6 }
+  ]);
+  assert.equal(hasAllSources(group, both), true);
+  assert.equal(hasAllSources(group, stockWith([{ depositoId: '1', depositoNome: 'Matriz', saldo: 4 }])), false);
+});
+
+test('hasAllSources matches v2 deposits by name', () => {
+  const mapping = { tiny_deposito_id: 'matriz', tiny_deposito_nome: 'Matriz' };
+  assert.equal(hasAllSources(mapping, stockWith([{ depositoNome: 'matriz', saldo: 1 }])), true);
+});
+
+test('aggregateSources sums the deposits of a group', () => {
+  const stock = stockWith([
+    { depositoId: '1', depositoNome: 'Matriz', saldo: 4 },
+    { depositoId: '2', depositoNome: 'CD Sul', saldo: 6 },
+    { depositoId: '3', depositoNome: 'Outro', saldo: 100 }
+  ]);
+  assert.equal(aggregateSources(group, stock), 10);
+});
+
+test('aggregateSources returns null when no deposit is present', () => {
+  assert.equal(aggregateSources(group, stockWith([{ depositoId: '3', depositoNome: 'Outro', saldo: 1 }])), null);
+});
+
+test('aggregateSources subtracts reservations with sum_minus_reserved', () => {
+  const mapping = { ...group, aggregation: 'sum_minus_reserved' };
+  const perDeposit = stockWith(
+    [
+      { depositoId: '1', depositoNome: 'Matriz', saldo: 4, saldoReservado: 1 },
+      { depositoId: '2', depositoNome: 'CD Sul', saldo: 6, saldoReservado: 2 }
+    ],
+    50
+  );
+  assert.equal(aggregateSources(mapping, perDeposit), 7);
+
+  // Tiny v2 often reports the reservation only for the whole product.
+  const productWide = stockWith(
+    [
+      { depositoId: '1', depositoNome: 'Matriz', saldo: 4 },
+      { depositoId: '2', depositoNome: 'CD Sul', saldo: 6 }
+    ],
+    3
+  );
+  assert.equal(aggregateSources(mapping, productWide), 7);
+});
+
+test('allocateQuantity publishes the whole total by default', () => {
+  assert.equal(allocateQuantity({}, 12), 12);
+  assert.equal(allocateQuantity({}, -4), 0);
+});
+
+test('allocateQuantity rounds percentage shares down', () => {
+  const mapping = { allocation: 'percentage' };
+  assert.equal(allocateQuantity({ ...mapping, target_percentage: 60 }, 10), 6);
+  assert.equal(allocateQuantity({ ...mapping, target_percentage: 40 }, 11), 4);
+  assert.equal(allocateQuantity({ ...mapping, target_percentage: null }, 11), 11);
+});
+
+test('allocateQuantity fills priority locations in order up to their max', () => {
+  const mapping = { allocation: 'priority' };
+  assert.equal(allocateQuantity({ ...mapping, target_offset: 0, target_max: 5 }, 12), 5);
+  assert.equal(allocateQuantity({ ...mapping, target_offset: 5, target_max: 4 }, 12), 4);
+  assert.equal(allocateQuantity({ ...mapping, target_offset: 9, target_max: null }, 12), 3);
+  assert.equal(allocateQuantity({ ...mapping, target_offset: 15, target_max: null }, 12), 0);
+});
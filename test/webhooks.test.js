@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { isIpAllowed, parseIpAllowlist, signWebhookBody, verifyWebhookSignature } from '../src/lib/webhooks.js';
+
+const secret = 's3cr3t';
+const rawBody = '{"dados":{"idProduto":1}}';
+
+function signed(overrides = {}) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return {
+    secret,
+    timestamp,
+    signature: signWebhookBody(secret, timestamp, rawBody),
+    rawBody,
+    toleranceSeconds: 300,
+    ...overrides
+  };
+}
+
+test('verifyWebhookSignature accepts a fresh signature, with or without the sha256= prefix', () => {
+  const input = signed();
+  assert.equal(verifyWebhookSignature(input), true);
+  assert.equal(verifyWebhookSignature({ ...input, signature: `sha256=${input.signature}` }), true);
+});
+
+test('verifyWebhookSignature rejects a changed body or another secret', () => {
+  assert.equal(verifyWebhookSignature({ ...signed(), rawBody: '{"dados":{"idProduto":2}}' }), false);
+  assert.equal(verifyWebhookSignature({ ...signed(), secret: 'other' }), false);
+});
+
+test('verifyWebhookSignature rejects timestamps outside the tolerance', () => {
+  const timestamp = String(Math.floor(Date.now() / 1000) - 600);
+  const input = signed({ timestamp, signature: signWebhookBody(secret, timestamp, rawBody) });
+  assert.equal(verifyWebhookSignature(input), false);
+  assert.equal(verifyWebhookSignature({ ...input, toleranceSeconds: 900 }), true);
+});
+
+test('verifyWebhookSignature rejects a missing signature or timestamp', () => {
+  assert.equal(verifyWebhookSignature(signed({ signature: '' })), false);
+  assert.equal(verifyWebhookSignature(signed({ timestamp: 'abc' })), false);
+});
+
+test('verifyWebhookSignature fails closed on a tolerance that is not a positive number', () => {
+  assert.equal(verifyWebhookSignature(signed({ toleranceSeconds: 0 })), false);
+  assert.equal(verifyWebhookSignature(signed({ toleranceSeconds: -300 })), false);
+  assert.equal(verifyWebhookSignature(signed({ toleranceSeconds: 'abc' })), false);
+});
+
+test('parseIpAllowlist returns null for an empty list, which allows everyone', () => {
+  assert.equal(parseIpAllowlist(''), null);
+  assert.equal(parseIpAllowlist('  \n '), null);
+  assert.equal(isIpAllowed(null, '203.0.113.9'), true);
+});
+
+test('isIpAllowed matches addresses and CIDR ranges', () => {
+  const allowlist = parseIpAllowlist('177.0.0.1, 10.0.0.0/24\n2001:db8::/32');
+  assert.equal(isIpAllowed(allowlist, '177.0.0.1'), true);
+  assert.equal(isIpAllowed(allowlist, '10.0.0.200'), true);
+  assert.equal(isIpAllowed(allowlist, '10.0.1.1'), false);
+  assert.equal(isIpAllowed(allowlist, '2001:db8::1'), true);
+  assert.equal(isIpAllowed(allowlist, '2001:db9::1'), false);
+  assert.equal(isIpAllowed(allowlist, ''), false);
+});
+
+test('isIpAllowed accepts IPv4-mapped IPv6 addresses', () => {
+  const allowlist = parseIpAllowlist('177.0.0.1');
+  assert.equal(isIpAllowed(allowlist, '::ffff:177.0.0.1'), true);
+});
+
+test('parseIpAllowlist throws on an invalid entry', () => {
+  assert.throws(() => parseIpAllowlist('10.0.0.0/33'), /IP inválido/);
+  assert.throws(() => parseIpAllowlist('not-an-ip'), /IP inválido/);
+  assert.throws(() => parseIpAllowlist('10.0.0.0/abc'), /IP inválido/);
+});